@@ -384,9 +384,11 @@ const fragmentShader = `
 `;
 
 const vertexShader = `
+    uniform vec4 viewRect;
     varying vec2 vUv;
     void main() {
-      vUv = uv;
+      // Full-frame coordinates, so a tiled render draws its slice of one flare
+      vUv = viewRect.xy + uv * viewRect.zw;
       gl_Position = vec4(position, 1.0);
     }
 `;
@@ -438,6 +440,7 @@ export class LensFlareEffect extends THREE.Mesh {
       uHaloWidth: { value: 0.6 },
       uDistortion: { value: 1.5 },
       uBrightDark: { value: 0.5 },
+      viewRect: { value: new THREE.Vector4(0, 0, 1, 1) },
     };
 
     const material = new THREE.ShaderMaterial({
@@ -458,6 +461,7 @@ export class LensFlareEffect extends THREE.Mesh {
 
     this.timeClock = new THREE.Clock();
     this.deltaClock = new THREE.Clock();
+    this.fixedTime = null; // { elapsed, delta } while an offline render drives the clock
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
     this.viewport = new THREE.Vector4();
@@ -521,12 +525,13 @@ export class LensFlareEffect extends THREE.Mesh {
 
     this.material.onBeforeRender = (renderer, scene, camera) => {
       if (!this.visible) return;
-      const elapsed = this.timeClock.getElapsedTime();
-      const delta = this.deltaClock.getDelta();
+      const elapsed = this.fixedTime?.elapsed ?? this.timeClock.getElapsedTime();
+      const delta = this.fixedTime?.delta ?? this.deltaClock.getDelta();
       renderer.getCurrentViewport(this.viewport);
+      const viewRect = this.updateViewRect(camera);
       this.material.uniforms.iResolution.value.set(
-        this.viewport.z,
-        this.viewport.w,
+        this.viewport.z / viewRect.z,
+        this.viewport.w / viewRect.w,
       );
 
       if (this.followMouse) {
@@ -556,10 +561,31 @@ export class LensFlareEffect extends THREE.Mesh {
     this.setEnabled(this.userEnabled);
   }
 
+  // Portion of the full frame the camera renders (camera.setViewOffset), in UVs
+  updateViewRect(camera) {
+    const viewRect = this.material.uniforms.viewRect.value;
+    const view = camera.view;
+    if (view?.enabled) {
+      viewRect.set(
+        view.offsetX / view.fullWidth,
+        1 - (view.offsetY + view.height) / view.fullHeight,
+        view.width / view.fullWidth,
+        view.height / view.fullHeight,
+      );
+    } else {
+      viewRect.set(0, 0, 1, 1);
+    }
+    return viewRect;
+  }
+
   updateProjectedPosition(camera, scene) {
     this.worldTarget.copy(this.anchorWorld);
     const distance = camera.position.distanceTo(this.worldTarget);
     this.projected.copy(this.worldTarget).project(camera);
+    // project() lands in the tile's NDC; the shader works in full-frame NDC
+    const viewRect = this.material.uniforms.viewRect.value;
+    this.projected.x = (viewRect.x + ((this.projected.x + 1) / 2) * viewRect.z) * 2 - 1;
+    this.projected.y = (viewRect.y + ((this.projected.y + 1) / 2) * viewRect.w) * 2 - 1;
 
     if (
       this.projected.z >= 1 ||
@@ -581,7 +607,7 @@ export class LensFlareEffect extends THREE.Mesh {
     }
 
     // Throttle occlusion checks to avoid performance issues
-    const now = this.timeClock.getElapsedTime();
+    const now = this.fixedTime?.elapsed ?? this.timeClock.getElapsedTime();
     if (now - this.lastOcclusionCheck < this.occlusionCheckInterval) {
       return; // Use cached opacity, don't check again yet
     }
@@ -620,6 +646,32 @@ export class LensFlareEffect extends THREE.Mesh {
     }
   }
 
+  /**
+   * Drive the flare from an external clock (offline rendering) instead of
+   * wall-clock time. Pass null to go back to real time.
+   */
+  setFixedTime(elapsed, delta = 0) {
+    if (elapsed === null) {
+      this.fixedTime = null;
+      this.deltaClock.getDelta();
+      return;
+    }
+    if (!this.fixedTime) {
+      // Start from a clean slate so repeated offline runs match
+      this.lastOcclusionCheck = -Infinity;
+      this.currentOpacity = this.visible ? this.baseOpacity : 0;
+    }
+    this.fixedTime = { elapsed, delta };
+  }
+
+  /**
+   * Hold the flare exactly as it is now (animation and fade) across several
+   * renders, e.g. the tiles of one still. setFixedTime(null) releases it.
+   */
+  freezeTime() {
+    this.fixedTime = { elapsed: this.timeClock.getElapsedTime(), delta: 0 };
+  }
+
   setRotation(degrees = 0) {
     const safe = Number.isFinite(degrees) ? degrees : 0;
     this.azimuthDeg = safe;
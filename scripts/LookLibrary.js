@@ -0,0 +1,200 @@
+import {
+  BUILT_IN_LOOKS,
+  LOOK_EXCLUDED_KEYS,
+  LOOK_FILE_EXTENSION,
+  LOOK_FILE_FORMAT,
+  LOOKS_STORAGE_KEY,
+} from './config/looks.js';
+import { STATE_SCHEMA_VERSION } from './config/stateSchema.js';
+import { deepMerge } from './utils/deepMerge.js';
+import { validateStatePatch } from './utils/stateValidation.js';
+import { getLocalStorage } from './utils/storage.js';
+
+const MAX_NAME_LENGTH = 48;
+
+const normalizeName = (name) => String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+
+const createId = () =>
+  `look-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'look';
+
+// Saved scene setups ("looks"): built-ins from config plus user looks in localStorage
+export class LookLibrary {
+  constructor(stateStore, { storageKey = LOOKS_STORAGE_KEY } = {}) {
+    this.stateStore = stateStore;
+    this.storageKey = storageKey;
+    this.storage = getLocalStorage();
+    this.looks = this.load();
+  }
+
+  load() {
+    if (!this.storage) return [];
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return [];
+      const stored = JSON.parse(raw);
+      if (!Array.isArray(stored)) throw new Error('Malformed look library');
+      return stored.flatMap((entry) => {
+        try {
+          const state = this.sanitize(entry.state, entry.version ?? STATE_SCHEMA_VERSION).state;
+          return [{ id: entry.id, name: normalizeName(entry.name) || 'Untitled', state }];
+        } catch (error) {
+          console.warn('[LookLibrary] dropping unreadable look', entry?.name, error);
+          return [];
+        }
+      });
+    } catch (error) {
+      console.warn('[LookLibrary] discarding stored looks', error);
+      return [];
+    }
+  }
+
+  persist() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(
+        this.storageKey,
+        JSON.stringify(
+          this.looks.map(({ id, name, state }) => ({
+            id,
+            name,
+            version: STATE_SCHEMA_VERSION,
+            state,
+          })),
+        ),
+      );
+    } catch (error) {
+      console.warn('[LookLibrary] failed to persist looks', error);
+    }
+  }
+
+  list() {
+    return [
+      ...BUILT_IN_LOOKS.map(({ id, name }) => ({ id, name, builtIn: true })),
+      ...this.looks.map(({ id, name }) => ({ id, name, builtIn: false })),
+    ];
+  }
+
+  get(id) {
+    const builtIn = BUILT_IN_LOOKS.find((look) => look.id === id);
+    if (builtIn) {
+      return {
+        id,
+        name: builtIn.name,
+        builtIn: true,
+        state: this.stripExcluded(deepMerge(this.stateStore.getDefaults(), builtIn.patch)),
+      };
+    }
+    const look = this.looks.find((entry) => entry.id === id);
+    return look ? { ...look, builtIn: false, state: structuredClone(look.state) } : null;
+  }
+
+  stripExcluded(state) {
+    const result = { ...state };
+    LOOK_EXCLUDED_KEYS.forEach((key) => delete result[key]);
+    return result;
+  }
+
+  // Migrate and validate a look state; returns the usable subset and any problems
+  sanitize(state, version) {
+    const migrated = this.stateStore.migrate(state, version);
+    const { patch, errors } = validateStatePatch(
+      this.stripExcluded(migrated),
+      this.stateStore.getDefaults(),
+    );
+    return { state: patch, errors };
+  }
+
+  save(name) {
+    const lookName = normalizeName(name);
+    if (!lookName) {
+      throw new Error('Give the look a name first');
+    }
+    const state = this.stripExcluded(this.stateStore.getState());
+    // Saving under an existing name updates that look
+    const existing = this.looks.find(
+      (look) => look.name.toLowerCase() === lookName.toLowerCase(),
+    );
+    if (existing) {
+      existing.state = state;
+      this.persist();
+      return existing;
+    }
+    const look = { id: createId(), name: lookName, state };
+    this.looks.push(look);
+    this.persist();
+    return look;
+  }
+
+  rename(id, name) {
+    const lookName = normalizeName(name);
+    const look = this.looks.find((entry) => entry.id === id);
+    if (!look) {
+      throw new Error('Built-in looks cannot be renamed');
+    }
+    if (!lookName) {
+      throw new Error('Give the look a name first');
+    }
+    look.name = lookName;
+    this.persist();
+    return look;
+  }
+
+  delete(id) {
+    const index = this.looks.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      throw new Error('Built-in looks cannot be deleted');
+    }
+    const [removed] = this.looks.splice(index, 1);
+    this.persist();
+    return removed;
+  }
+
+  toFile(id) {
+    const look = this.get(id);
+    if (!look) return null;
+    const payload = {
+      format: LOOK_FILE_FORMAT,
+      version: STATE_SCHEMA_VERSION,
+      name: look.name,
+      state: look.state,
+    };
+    return {
+      filename: `${slugify(look.name)}${LOOK_FILE_EXTENSION}`,
+      blob: new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }),
+    };
+  }
+
+  // Parse and store an exported look; invalid entries are skipped and reported
+  import(text, fallbackName = 'Imported look') {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Look file is not valid JSON');
+    }
+    if (payload?.format !== LOOK_FILE_FORMAT || typeof payload.state !== 'object') {
+      throw new Error('Not an Orby look file');
+    }
+    if (!Number.isInteger(payload.version) || payload.version > STATE_SCHEMA_VERSION) {
+      throw new Error('Look was saved by a newer version of Orby');
+    }
+    const { state, errors } = this.sanitize(payload.state, payload.version);
+    if (!Object.keys(state).length) {
+      throw new Error('Look file contains no usable settings');
+    }
+    const look = {
+      id: createId(),
+      name: normalizeName(payload.name) || fallbackName,
+      state,
+    };
+    this.looks.push(look);
+    this.persist();
+    return { look, errors };
+  }
+}
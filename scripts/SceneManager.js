@@ -1,5 +1,10 @@
 import * as THREE from 'three';
-import { HDRI_PRESETS, HDRI_STRENGTH_UNIT, HDRI_MOODS } from './config/hdri.js';
+import {
+  HDRI_PRESETS,
+  HDRI_STRENGTH_UNIT,
+  HDRI_MOODS,
+  getHdriFileType,
+} from './config/hdri.js';
 import {
   WIREFRAME_OFFSET,
   WIREFRAME_POLYGON_OFFSET_FACTOR,
@@ -11,21 +16,47 @@ import {
   CAMERA_TEMPERATURE_MIN_K,
   CAMERA_TEMPERATURE_MAX_K,
   CAMERA_TEMPERATURE_NEUTRAL_K,
+  SHADING_LABELS,
 } from './constants.js';
 import { PostProcessingPipeline } from './render/PostProcessingPipeline.js';
 import { LightsController } from './render/LightsController.js';
 import { GroundController } from './render/GroundController.js';
 import { EnvironmentController } from './render/EnvironmentController.js';
 import { HdriMoodController } from './render/HdriMoodController.js';
-import { CameraController } from './render/CameraController.js';
+import { CameraController, CAMERA_PRESETS } from './render/CameraController.js';
 import { ModelLoader } from './render/ModelLoader.js';
 import { AnimationController } from './render/AnimationController.js';
 import { MeshDiagnosticsController } from './render/MeshDiagnosticsController.js';
 import { MaterialController } from './render/MaterialController.js';
+import { SelectionController } from './render/SelectionController.js';
+import { SceneGraphController } from './render/SceneGraphController.js';
+import { PickingController } from './render/PickingController.js';
 import { LensFlareController } from './render/LensFlareController.js';
 import { AutoExposureController } from './render/AutoExposureController.js';
 import { TransformController } from './render/TransformController.js';
 import { LensDirtController } from './render/LensDirtController.js';
+import { ModelExporter, EXPORT_FORMATS } from './render/ModelExporter.js';
+import { createWebmEncoder } from './utils/webmEncoder.js';
+import { downloadBlob } from './utils/download.js';
+import { countTriangles, countVertices } from './utils/geometryStats.js';
+import { createZipWriter } from './utils/zip.js';
+
+const TURNTABLE_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+// Stills larger than one tile are rendered in overlapping tiles with camera view offsets
+const IMAGE_TILE_SIZE = 2048;
+const IMAGE_TILE_PADDING = 64; // Overlap so bloom, DOF and FXAA see past each tile edge
+const MAX_IMAGE_SIZE = 16384; // Largest canvas side browsers reliably encode
+const CONTACT_SHEET_PRESETS = ['front', 'back', 'left', 'right', 'top', 'three-quarter'];
+const IMAGE_FORMATS = {
+  png: { mime: 'image/png', extension: 'png', alpha: true },
+  jpeg: { mime: 'image/jpeg', extension: 'jpg', alpha: false },
+  webp: { mime: 'image/webp', extension: 'webp', alpha: true },
+};
 
 
 export class SceneManager {
@@ -109,6 +140,10 @@ export class SceneManager {
       modelRoot: this.modelRoot,
       ui: this.ui,
     });
+    this.selectionController = new SelectionController({
+      scene: this.scene,
+      onSelectionChanged: (node) => this.ui.setSelectedNode(node?.uuid ?? null),
+    });
 
     this.currentShading = initialState.shading;
     this.autoRotateSpeed = 0;
@@ -117,8 +152,16 @@ export class SceneManager {
     this.lightsRotation = initialState.lightsRotation ?? 0;
     this.lightsAutoRotate = initialState.lightsAutoRotate ?? false;
     this.lightsAutoRotateSpeed = 30; // degrees per second
+    this.lightsAlignToHdri = initialState.lightsAlignToHdri ?? false;
+    this.offlineRender = null; // AbortController while an export drives the renderer
+    this.transparentRender = false;
+    this.stillRender = false; // Set while a still renders tile by tile
     this.currentFile = null;
+    this.currentUrl = null;
+    // Model picked from each multi-model archive, so a reload doesn't ask again
+    this.archiveChoices = new WeakMap();
     this.currentModel = null;
+    this.currentStats = null;
     this.isFirstModelLoad = true; // Track if this is the first model load
     this.animationController = new AnimationController({
       onClipsChanged: (clips) => this.ui.setAnimationClips(clips),
@@ -136,6 +179,8 @@ export class SceneManager {
     this.hdriBlurriness = initialState.hdriBlurriness ?? 0;
     this.hdriRotation = initialState.hdriRotation ?? 0;
     this.currentHdri = initialState.hdri ?? 'meadow';
+    this.pendingStudioEnvironment = null;
+    this.studioEnvironmentFrame = null;
     // Lens dirt will be initialized after setupComposer
 
     this.materialController = new MaterialController({
@@ -156,7 +201,23 @@ export class SceneManager {
       },
     });
 
-    this.modelLoader = new ModelLoader();
+    this.sceneGraphController = new SceneGraphController({
+      isHelper: (node) => node === this.materialController.wireframeOverlay,
+    });
+    this.pickingController = new PickingController({
+      scene: this.scene,
+      camera: this.camera,
+      canvas: this.canvas,
+      onPick: (mesh, point) => this.pickMesh(mesh, point),
+      onFocus: () => this.focusSelection(),
+    });
+
+    this.modelExporter = new ModelExporter({
+      getOriginalMaterial: (mesh) => this.materialController.getOriginalMaterial(mesh),
+      // The always-on wireframe overlay lives inside the model
+      isHelper: (node) => node === this.materialController.wireframeOverlay,
+    });
+    this.modelLoader = new ModelLoader({ renderer: this.renderer });
     this.textureLoader = new THREE.TextureLoader();
     this.setupLights();
     this.setupGround();
@@ -230,8 +291,9 @@ export class SceneManager {
       getState: () => this.stateStore.getState(),
       updateBloom: (settings) => this.updateBloom(settings),
       updateGrain: (settings) => this.updateGrain(settings),
-      setBloomState: (value) => this.stateStore.set('bloom', value),
-      setGrainState: (value) => this.stateStore.set('grain', value),
+      // Mood tweaks follow the HDRI choice, so they don't get their own undo step
+      setBloomState: (value) => this.stateStore.set('bloom', value, { history: false }),
+      setGrainState: (value) => this.stateStore.set('grain', value, { history: false }),
       fallbackBackgroundColor: this.backgroundColor,
     });
   }
@@ -252,6 +314,7 @@ export class SceneManager {
         this.forceRestoreClaySettings();
       },
     });
+    this.environmentController.setProceduralParams('studio', initialState.studioEnvironment);
   }
 
   setupComposer() {
@@ -276,6 +339,32 @@ export class SceneManager {
     this.eventBus.on('mesh:rotationZ', (value) => this.setRotationZ(value));
     this.eventBus.on('mesh:shading', (mode) => this.setShading(mode));
     this.eventBus.on('mesh:normals', (enabled) => this.toggleNormals(enabled));
+    this.eventBus.on('mesh:point-size', (size) => this.materialController.setPointSize(size));
+    this.eventBus.on('mesh:select', (id) => this.selectMesh(id));
+    this.eventBus.on('material:edit', (edit) => this.editMaterial(edit));
+    this.eventBus.on('material:reset', (id) => this.resetMaterial(id));
+    this.eventBus.on('outliner:focus', (id) => this.focusNode(id));
+    this.eventBus.on('outliner:visibility', ({ id, visible }) => {
+      this.sceneGraphController.setVisible(id, visible);
+      this.ui.updateOutlinerStates(this.sceneGraphController.getStates());
+    });
+    this.eventBus.on('outliner:isolate', (id) => {
+      this.sceneGraphController.isolate(id);
+      this.ui.updateOutlinerStates(this.sceneGraphController.getStates());
+    });
+    this.eventBus.on('outliner:show-all', () => {
+      this.sceneGraphController.showAll();
+      this.ui.updateOutlinerStates(this.sceneGraphController.getStates());
+    });
+    this.eventBus.on('quality:analyze', () => this.analyzeQuality());
+    this.eventBus.on('quality:overlay', ({ check, visible }) =>
+      this.diagnosticsController.setQualityOverlayVisible(check, visible),
+    );
+    this.eventBus.on('quality:export', () => this.exportQualityReport());
+    this.eventBus.on('quality:cancel', () => {
+      this.diagnosticsController.cancelQuality();
+      this.ui.showToast('Mesh quality analysis cancelled');
+    });
     this.eventBus.on('mesh:auto-rotate', (speed) => {
       this.autoRotateSpeed = speed;
     });
@@ -321,6 +410,7 @@ export class SceneManager {
     });
 
     this.eventBus.on('studio:hdri', (preset) => this.setHdriPreset(preset));
+    this.eventBus.on('studio:hdri-file', (file) => this.importHdriFile(file));
     this.eventBus.on('studio:hdri-enabled', (enabled) =>
       this.setHdriEnabled(enabled),
     );
@@ -333,6 +423,14 @@ export class SceneManager {
     this.eventBus.on('studio:hdri-rotation', (value) =>
       this.setHdriRotation(value),
     );
+    // Slider input is coalesced per frame; state replay applies at once so the
+    // studio preset is built from the restored parameters
+    this.eventBus.on('studio:environment-drag', (params) =>
+      this.queueStudioEnvironment(params),
+    );
+    this.eventBus.on('studio:environment', (params) =>
+      this.setStudioEnvironment(params),
+    );
     this.eventBus.on('studio:hdri-background', (enabled) =>
       this.setHdriBackground(enabled),
     );
@@ -382,6 +480,7 @@ export class SceneManager {
     this.eventBus.on('studio:ground-y', (value) => this.setGroundY(value));
     this.eventBus.on('studio:podium-scale', (value) => this.setPodiumScale(value));
     this.eventBus.on('studio:grid-scale', (value) => this.setGridScale(value));
+    this.eventBus.on('studio:grid-y', (value) => this.setGridY(value));
     this.eventBus.on('studio:podium-snap', () => this.snapPodiumToBottom());
     this.eventBus.on('studio:grid-snap', () => this.snapGridToBottom());
 
@@ -399,6 +498,9 @@ export class SceneManager {
     this.eventBus.on('lights:show-indicators', (enabled) =>
       this.setShowLightIndicators(enabled),
     );
+    this.eventBus.on('lights:align-hdri', (enabled) =>
+      this.setLightsAlignToHdri(enabled),
+    );
 
     this.eventBus.on('render:dof', (settings) => this.updateDof(settings));
     this.eventBus.on('render:bloom', (settings) => this.updateBloom(settings));
@@ -437,8 +539,11 @@ export class SceneManager {
 
     this.eventBus.on('file:selected', (file) => this.loadFile(file));
     this.eventBus.on('file:bundle', (bundle) => this.loadFileBundle(bundle));
+    this.eventBus.on('file:url', (url) => this.loadUrl(url));
     this.eventBus.on('file:reload', () => {
-      if (this.currentFile) {
+      if (this.currentUrl) {
+        this.loadUrl(this.currentUrl, { silent: true });
+      } else if (this.currentFile) {
         this.loadFile(this.currentFile, { silent: true });
       } else {
         this.ui.showToast('No model to reload');
@@ -449,10 +554,18 @@ export class SceneManager {
     this.eventBus.on('animation:scrub', (value) => this.animationController.scrub(value));
     this.eventBus.on('animation:select', (index) => this.animationController.selectAnimation(index));
 
-    this.eventBus.on('export:png', () => this.exportPng());
+    this.eventBus.on('export:image', (options) => this.exportImage(options));
+    this.eventBus.on('export:contact-sheet', (options) => this.exportContactSheet(options));
+    this.eventBus.on('export:model', (options) => this.exportModel(options));
+    this.eventBus.on('export:turntable', (options) => this.exportTurntable(options));
+    this.eventBus.on('export:frames', (options) => this.exportFrameSequence(options));
+    this.eventBus.on('export:cancel', () => this.offlineRender?.abort());
     this.eventBus.on('app:reset', () =>
       this.applyStateSnapshot(this.stateStore.getState()),
     );
+    this.eventBus.on('look:apply', () =>
+      this.applyStateSnapshot(this.stateStore.getState()),
+    );
   }
 
   async applyStateSnapshot(state) {
@@ -467,6 +580,7 @@ export class SceneManager {
     this.setGroundWireOpacity(state.groundWireOpacity);
     this.setGridY(state.gridY ?? 0);
     this.setPodiumScale(state.podiumScale ?? 1, { updateState: false });
+    this.setGroundY(state.groundY ?? 0);
     this.setGridScale(state.gridScale ?? 1);
     this.autoExposureController?.applyStateSnapshot(state);
     // Initialize base HDRI strength if not already set
@@ -485,9 +599,9 @@ export class SceneManager {
         light.intensity = 0;
       });
     }
-    this.setLightsRotation(state.lightsRotation ?? 0);
     this.setShowLightIndicators(state.showLightIndicators ?? false);
     this.setLightsAutoRotate(state.lightsAutoRotate ?? false);
+    this.setLightsAlignToHdri(state.lightsAlignToHdri ?? false);
     // Update material controller settings
     if (state.clay) {
       this.materialController.setClaySettings(state.clay);
@@ -498,6 +612,7 @@ export class SceneManager {
     if (state.wireframe) {
       this.materialController.setWireframeSettings(state.wireframe);
     }
+    this.materialController.setPointSize(state.pointSize ?? 2);
     this.updateDof(state.dof);
     this.updateBloom(state.bloom);
     this.lensDirtController?.updateSettings(state.lensDirt);
@@ -522,18 +637,28 @@ export class SceneManager {
     }
     this.setHdriBlurriness(state.hdriBlurriness ?? 0);
     this.setHdriRotation(state.hdriRotation ?? 0);
+    // HDRI rotation drags the lights along; restore their own offset afterwards
+    this.setLightsRotation(state.lightsRotation ?? 0);
     this.setHdriEnabled(state.hdriEnabled);
     this.setHdriBackground(state.hdriBackground);
     this.lensFlareController?.applyStateSnapshot(state);
-    await this.setHdriPreset(state.hdri);
+    this.setStudioEnvironment(state.studioEnvironment);
+    // A restored preset may no longer exist; fall back to the default HDRI
+    let hdri = state.hdri;
+    if (!this.environmentController?.hasPreset(hdri)) {
+      hdri = this.stateStore.getDefaults().hdri;
+      this.stateStore.set('hdri', hdri, { history: false });
+    }
+    await this.setHdriPreset(hdri);
   }
 
   async setHdriPreset(preset) {
-    if (!preset || !HDRI_PRESETS[preset]) return;
+    if (!this.environmentController?.hasPreset(preset)) return;
         this.currentHdri = preset;
     try {
       await this.environmentController?.setPreset(preset);
         this.applyHdriMood(preset);
+      this.updateHdriAlignment();
       // Reset auto-exposure luminance state when HDRI changes
       // This allows it to quickly adapt to the new scene brightness
       this.autoExposureController?.resetLuminance();
@@ -543,6 +668,38 @@ export class SceneManager {
     }
   }
 
+  async importHdriFile(file) {
+    const type = getHdriFileType(file?.name);
+    if (!type) {
+      this.ui.showToast('Unsupported HDRI format');
+      return;
+    }
+    const name = file.name.replace(/\.[a-z0-9]+$/i, '');
+    this.customHdriCount = (this.customHdriCount ?? 0) + 1;
+    const preset = `custom-${this.customHdriCount}`;
+    const url = URL.createObjectURL(file);
+    this.environmentController.registerPreset(preset, { url, type, name, custom: true });
+
+    this.ui.showToast(`Loading ${file.name}…`);
+    await this.setHdriPreset(preset);
+    if (!this.environmentController.isPresetLoaded(preset)) {
+      this.environmentController.unregisterPreset(preset);
+      this.ui.showToast('Could not load HDRI');
+      // Put back whatever was showing before
+      await this.setHdriPreset(this.stateStore.getState().hdri);
+      return;
+    }
+
+    this.ui.addHdriPreset({
+      preset,
+      name,
+      thumbnail: this.environmentController.createThumbnail(preset),
+    });
+    this.stateStore.set('hdri', preset);
+    this.ui.setHdriActive(preset);
+    this.ui.showToast('HDRI loaded');
+  }
+
   updateMaterialsEnvironment(envTexture, intensity) {
     this.materialController.updateMaterialsEnvironment(
       envTexture,
@@ -672,6 +829,7 @@ export class SceneManager {
     this.environmentController?.setRotation(this.hdriRotation);
     // Also rotate lights to stay in sync (without updating HDRI again to avoid loop)
     this.setLightsRotation(this.hdriRotation, { updateUi: true, updateHdri: false });
+    this.updateHdriAlignment();
   }
 
   setClaySettings(patch) {
@@ -837,12 +995,50 @@ export class SceneManager {
     this.lightsAutoRotate = enabled;
   }
 
+  setLightsAlignToHdri(enabled) {
+    this.lightsAlignToHdri = !!enabled;
+    this.updateHdriAlignment();
+  }
+
+  // Aim the key light, its shadow and the lens flare at the HDRI's sun.
+  // The sun is only known once the full-res HDRI has loaded, so this runs
+  // again after every preset change and HDRI rotation.
+  updateHdriAlignment() {
+    const sun = this.lightsAlignToHdri ? this.environmentController?.getSun() : null;
+    this.lightsController?.setKeyDirection(sun?.direction ?? null);
+    this.lensFlareController?.setAnchorDirection(sun?.direction ?? null);
+  }
+
   setFresnelSettings(settings = {}) {
     this.materialController.setFresnelSettings(settings);
   }
 
+  // Slider drags fire several input events a frame, and each regeneration
+  // renders, reads back and prefilters the environment: build once per frame
+  queueStudioEnvironment(params) {
+    this.pendingStudioEnvironment = params;
+    if (this.studioEnvironmentFrame) return;
+    this.studioEnvironmentFrame = requestAnimationFrame(() => {
+      this.studioEnvironmentFrame = null;
+      this.setStudioEnvironment(this.pendingStudioEnvironment);
+    });
+  }
+
+  setStudioEnvironment(params) {
+    // A direct update (state replay, reset) supersedes a queued one
+    if (this.studioEnvironmentFrame) {
+      cancelAnimationFrame(this.studioEnvironmentFrame);
+      this.studioEnvironmentFrame = null;
+    }
+    this.pendingStudioEnvironment = null;
+    this.environmentController?.setProceduralParams('studio', params);
+    if (this.currentHdri !== 'studio') return;
+    this.applyHdriMood('studio');
+    this.updateHdriAlignment();
+  }
+
   applyHdriMood(preset) {
-    const style = HDRI_MOODS[preset];
+    const style = this.environmentController?.getMood(preset) ?? null;
     this.hdriMood?.apply(style, {
       hdriBackgroundEnabled: this.hdriBackgroundEnabled,
       hdriEnabled: this.hdriEnabled,
@@ -884,14 +1080,37 @@ export class SceneManager {
 
   async loadFile(file, options = {}) {
     if (!file) return;
+    if (/\.zip$/i.test(file.name)) {
+      await this.loadArchive(file);
+      return;
+    }
     this.currentFile = file;
-    this.ui.updateTitle(file.name);
-    this.ui.updateTopBarDetail(`${file.name} — Loading…`);
+    this.currentUrl = null;
+    await this.loadModel(file.name, () => this.modelLoader.loadFile(file), options);
+  }
+
+  async loadUrl(url, options = {}) {
+    if (!url) return;
+    this.currentUrl = url;
+    let label = url.split(/[?#]/)[0].split('/').pop() || url;
+    try {
+      label = decodeURIComponent(label);
+    } catch (error) {
+      // A bare % (50%off.glb) is not an escape; show the name as written
+    }
+    await this.loadModel(label, () => this.modelLoader.loadUrl(url), {
+      ...options,
+      showErrorMessage: true,
+    });
+  }
+
+  async loadModel(label, load, options = {}) {
+    this.ui.updateTitle(label);
+    this.ui.updateTopBarDetail(`${label} — Loading…`);
     this.ui.setDropzoneVisible(false);
 
     // On first load, start with low exposure and fade in
     const isFirstLoad = this.isFirstModelLoad;
-    const targetExposure = this.stateStore.getState().exposure ?? 1.0;
     
     if (isFirstLoad) {
       // Set exposure to very low value initially
@@ -901,7 +1120,9 @@ export class SceneManager {
     }
 
     try {
-      const asset = await this.modelLoader.loadFile(file);
+      const asset = await load();
+      const file = asset.sourceFile;
+      this.currentFile = file;
       this.setModel(asset.object, asset.animations ?? []);
       this.updateStatsUI(file, asset.object, asset.gltfMetadata);
       this.ui.updateTopBarDetail(`${file.name} — Idle`);
@@ -910,33 +1131,75 @@ export class SceneManager {
       }
     } catch (error) {
       console.error('Failed to load model', error);
-      this.ui.showToast('Could not load model');
+      this.ui.showToast(
+        options.showErrorMessage && error.message
+          ? `Could not load model: ${error.message}`
+          : 'Could not load model',
+      );
       this.ui.setDropzoneVisible(true);
     }
   }
 
-  async loadFileBundle(files) {
+  async loadFileBundle(files, { archive = null } = {}) {
     if (!files?.length) return;
+    const kind = archive ? 'Archive' : 'Folder';
     try {
-      const asset = await this.modelLoader.loadFileBundle(files);
+      const candidates = this.modelLoader.findModelCandidates(files);
+      let primaryPath = candidates[0]?.path;
+      const remembered = archive && this.archiveChoices.get(archive);
+      if (remembered && candidates.some(({ path }) => path === remembered)) {
+        primaryPath = remembered;
+      } else if (candidates.length > 1) {
+        primaryPath = await this.ui.chooseModel(candidates.map(({ path }) => path));
+        if (!primaryPath) return;
+        if (archive) this.archiveChoices.set(archive, primaryPath);
+      }
+
+      // The previous bundle's textures have decoded by now; the new one's URLs must outlive
+      // setModel, since MTL and FBX texture loads are still in flight when parsing returns
+      this.modelLoader.disposeObjectUrls();
+      const asset = await this.modelLoader.loadFileBundle(files, { primaryPath });
       const sourceFile = asset.sourceFile ?? files[0]?.file;
-      if (sourceFile) {
-        this.currentFile = sourceFile;
-        this.ui.updateTitle(sourceFile.name);
+      // Archives reload from the ZIP itself and name exports after it
+      const currentFile = archive ?? sourceFile;
+      if (currentFile) {
+        this.currentFile = currentFile;
+        this.currentUrl = null;
+        this.ui.updateTitle(currentFile.name);
       }
       this.setModel(asset.object, asset.animations ?? []);
       this.updateStatsUI(sourceFile, asset.object, asset.gltfMetadata);
-        this.ui.showToast('Folder loaded');
+      const missing = asset.missingResources ?? [];
+      if (missing.length) {
+        console.warn('Files referenced by the model were not in the drop', missing);
+        this.ui.showToast(`${kind} loaded, ${missing.length} referenced file(s) missing`);
+      } else {
+        this.ui.showToast(`${kind} loaded`);
+      }
     } catch (error) {
-        console.error('Folder load failed', error);
-      this.ui.showToast(error.message || 'Folder load failed');
+      console.error(`${kind} load failed`, error);
+      this.ui.showToast(error.message || `${kind} load failed`);
+    }
+  }
+
+  async loadArchive(file) {
+    let files;
+    try {
+      files = await this.modelLoader.readZip(file);
+    } catch (error) {
+      console.error('Archive load failed', error);
+      this.ui.showToast(error.message || 'Could not open archive');
+      return;
     }
+    await this.loadFileBundle(files, { archive: file });
   }
 
   clearModel() {
     this.diagnosticsController.clearAll();
+    this.selectionController.clear();
+    this.sceneGraphController.clear();
+    this.pickingController.setTargets([]);
     this.materialController.clear();
-    this.modelLoader.disposeObjectUrls();
     while (this.modelRoot.children.length) {
       const child = this.modelRoot.children[0];
       this.disposeNode(child);
@@ -950,7 +1213,9 @@ export class SceneManager {
 
   disposeNode(object) {
     object.traverse?.((node) => {
-      if (node.isMesh) {
+      if (node.isSplatMesh) {
+        node.dispose();
+      } else if (node.isMesh) {
         if (node.geometry) node.geometry.dispose();
         const material = node.material;
         if (Array.isArray(material)) {
@@ -994,9 +1259,27 @@ export class SceneManager {
       clay: state.clay,
       fresnel: state.fresnel,
       wireframe: state.wireframe,
+      pointSize: state.pointSize,
     });
+    this.ui.setPointControlsVisible(this.materialController.hasPoints());
+    this.ui.setMaterials(this.materialController.getMaterialList());
+    const unsupportedShadings = this.materialController.getUnsupportedShadings();
+    this.ui.setShadingModesDisabled(unsupportedShadings);
+    if (unsupportedShadings.includes(state.shading)) {
+      const mode = SHADING_LABELS[state.shading] ?? state.shading;
+      this.ui.showToast(`${mode} shading does not apply to Gaussian splats`);
+    }
     this.setShading(state.shading);
     this.diagnosticsController.setModel(object, state.shading);
+    this.sceneGraphController.setModel(object);
+    this.ui.setOutliner(this.sceneGraphController.getTree());
+    this.ui.updateOutlinerStates(this.sceneGraphController.getStates());
+    const pickable = [];
+    this.sceneGraphController.walk((node) => {
+      if (node.isMesh && !node.isSplatMesh) pickable.push(node);
+    });
+    this.pickingController.setTargets(pickable);
+    this.ui.resetQuality(pickable.length > 0);
     this.toggleNormals(state.showNormals);
     this.refreshBoneHelpers();
     // Apply Fresnel settings if enabled
@@ -1128,6 +1411,7 @@ export class SceneManager {
       gltfMetadata,
       this.cameraController?.getModelBounds(),
     );
+    this.currentStats = stats;
     this.ui.updateStats(stats);
   }
 
@@ -1151,6 +1435,145 @@ export class SceneManager {
     this.transformController?.setRotationZ(value);
   }
 
+  /**
+   * @param {string|null} id - uuid of a node in the loaded model; null deselects
+   */
+  selectMesh(id) {
+    const mesh = id ? this.currentModel?.getObjectByProperty('uuid', id) : null;
+    this.selectionController.select(mesh ?? null);
+  }
+
+  // Select a node from the outliner and frame it
+  focusNode(id) {
+    const node = this.sceneGraphController.getNode(id);
+    if (!node) return;
+    this.selectionController.select(node);
+    this.focusSelection();
+  }
+
+  // Frame the selection; pieces keep the model's bounds and the view direction
+  focusSelection() {
+    const node = this.selectionController.getSelection();
+    if (!node) return;
+    this.cameraController?.focusOnObjectAnimated(node, 1.0, {
+      isPart: node !== this.currentModel,
+    });
+  }
+
+  /**
+   * A click in the viewport: select what was hit and show its info next to
+   * the pointer, or clear the selection on a miss
+   * @param {THREE.Mesh|null} mesh
+   * @param {{ x: number, y: number }} point - Client coordinates of the click
+   */
+  pickMesh(mesh, point) {
+    this.selectionController.select(mesh);
+    if (mesh) {
+      this.ui.showPickInfo(this.describeMesh(mesh), point);
+    }
+  }
+
+  describeMesh(mesh) {
+    const original = this.materialController.getOriginalMaterial(mesh) ?? mesh.material;
+    const materials = (Array.isArray(original) ? original : [original]).filter(Boolean);
+    // Skinned meshes measure their current pose (picking just refreshed it)
+    const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+    return {
+      id: mesh.uuid,
+      name: mesh.name || mesh.parent?.name || 'Unnamed mesh',
+      material: materials.map((material) => this.materialController.getMaterialLabel(material)).join(', ') || '—',
+      triangles: Math.round(countTriangles(mesh.geometry)).toLocaleString(),
+      vertices: countVertices(mesh.geometry).toLocaleString(),
+      bounds: `${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)} m`,
+    };
+  }
+
+  /**
+   * Run the mesh quality checks on every mesh, hidden nodes included: the
+   * report covers the whole asset
+   * @returns {Promise<Object|null>} { meshes, issues }, or null when there was
+   *   nothing to analyze or the model changed meanwhile
+   */
+  async analyzeQuality() {
+    const meshes = [];
+    this.sceneGraphController.walk((node) => {
+      if (node.isMesh && !node.isSplatMesh) meshes.push(node);
+    });
+    if (!meshes.length) {
+      this.ui.showToast('Load a mesh first');
+      return null;
+    }
+    this.ui.setQualityProgress(0);
+    try {
+      const summary = await this.diagnosticsController.analyzeQuality(meshes, {
+        onProgress: (fraction) => this.ui.setQualityProgress(fraction),
+      });
+      if (!summary) return null;
+      this.ui.setQualityReport(summary);
+      const total = Object.values(summary.issues).reduce((sum, count) => sum + count, 0);
+      this.ui.showToast(
+        total ? `Found ${total.toLocaleString()} mesh quality issues` : 'No mesh quality issues found',
+      );
+      return summary;
+    } catch (error) {
+      console.error('Mesh quality analysis failed', error);
+      this.ui.showToast('Mesh quality analysis failed');
+      return null;
+    } finally {
+      this.ui.setQualityProgress(null);
+    }
+  }
+
+  /**
+   * @returns {Object|null} The last analysis with the asset it belongs to, as
+   *   written by Export JSON; null before an analysis
+   */
+  getQualityReport() {
+    const report = this.diagnosticsController.getQualityReport();
+    if (!report) return null;
+    const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+    const assetName = this.currentStats?.assetName;
+    return {
+      asset: assetName && assetName !== '—' ? assetName : name,
+      file: this.currentFile?.name ?? null,
+      createdAt: new Date().toISOString(),
+      ...report,
+    };
+  }
+
+  exportQualityReport() {
+    const report = this.getQualityReport();
+    if (!report) {
+      this.ui.showToast('Analyze the mesh first');
+      return;
+    }
+    const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+    const json = JSON.stringify(report, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${name}-quality.json`);
+    this.ui.showToast('Exported mesh quality report');
+  }
+
+  editMaterial({ id, key, value }) {
+    if (this.materialController.setMaterialProperty(id, key, value)) {
+      this.refreshMaterialEnvironment();
+    }
+  }
+
+  resetMaterial(id) {
+    const material = this.materialController.resetMaterial(id);
+    if (!material) return;
+    this.refreshMaterialEnvironment();
+    this.ui.updateMaterialEntry(material);
+  }
+
+  // Re-applies the environment blur to edited roughness and the envMap to rebuilt materials
+  refreshMaterialEnvironment() {
+    if (this.scene.environment) {
+      const intensity = Math.max(0, this.hdriStrength);
+      this.updateMaterialsEnvironment(this.scene.environment, intensity);
+    }
+  }
+
   setShading(mode) {
     this.materialController.setShading(mode);
     this.unlitMode = this.materialController.getUnlitMode();
@@ -1175,6 +1598,15 @@ export class SceneManager {
   animate() {
     requestAnimationFrame(() => this.animate());
     const delta = this.clock.getDelta();
+    // Offline exports step the scene themselves with a fixed delta
+    if (this.offlineRender) return;
+    this.advance(delta);
+    this.render();
+    this.pickingController.renderOutline(this.renderer);
+  }
+
+  // Everything time-based in a frame, minus the render itself
+  advance(delta) {
     this.animationController.update(delta);
     if (this.autoRotateSpeed && this.currentModel) {
       this.modelRoot.rotation.y += delta * this.autoRotateSpeed;
@@ -1185,9 +1617,10 @@ export class SceneManager {
     }
     this.cameraController.update();
     this.diagnosticsController.update(delta);
+    this.selectionController.update();
+    this.pickingController.update();
     this.postPipeline?.updateGrainTime(delta);
     this.updateWireframeOverlayTransforms();
-    this.render();
   }
 
   render() {
@@ -1200,13 +1633,18 @@ export class SceneManager {
       const previousColor = this.renderer.getClearColor(new THREE.Color()).clone();
       const previousAlpha = this.renderer.getClearAlpha();
       this.renderer.toneMappingExposure = 1;
-      this.renderer.setClearColor(new THREE.Color(this.backgroundColor), 1);
+      if (!this.transparentRender) {
+        this.renderer.setClearColor(new THREE.Color(this.backgroundColor), 1);
+      }
       this.renderer.render(this.scene, this.camera);
       this.renderer.setClearColor(previousColor, previousAlpha);
       this.renderer.toneMappingExposure = previousExposure;
       return;
     }
-    this.autoExposureController?.update(this.unlitMode);
+    // Tiles of one still all keep the exposure the viewport settled on
+    if (!this.stillRender) {
+      this.autoExposureController?.update(this.unlitMode);
+    }
     // Update lens dirt exposure factor from auto-exposure luminance
     this.lensDirtController?.updateExposureFactor();
     if (this.composer) {
@@ -1217,12 +1655,19 @@ export class SceneManager {
   }
 
   handleResize() {
+    if (this.offlineRender) return; // Restored to the canvas size when the export ends
     const width = this.canvas.clientWidth || window.innerWidth;
     const height = this.canvas.clientHeight || window.innerHeight;
     this.renderer.setSize(width, height);
+    this.updateRenderSize(width, height);
+  }
+
+  updateRenderSize(width, height) {
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
     this.composer?.setSize(width, height);
+    const pixelRatio = this.renderer.getPixelRatio();
+    this.pickingController?.setSize(width * pixelRatio, height * pixelRatio);
     
     // Update FXAA resolution on resize
     if (this.fxaaPass) {
@@ -1232,28 +1677,658 @@ export class SceneManager {
     }
   }
 
-  async exportPng() {
-    const originalSize = new THREE.Vector2();
-    this.renderer.getSize(originalSize);
+  // Selection and quality overlays belong to the viewport, not to exported images
+  setViewportHelpersVisible(visible) {
+    this.selectionController.setHelperVisible(visible);
+    this.diagnosticsController.setQualityOverlaysShown(visible);
+  }
+
+  /**
+   * Render one or more stills at any size. Anything larger than one tile is
+   * rendered in overlapping tiles with camera view offsets, so the output isn't
+   * limited by the GPU's maximum render target size. Exposure and the lens
+   * flare hold still for the whole run.
+   * @param {Object} options
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {boolean} [options.transparent] - Drop the background (HDRI or color) and keep alpha
+   * @param {number} [options.count] - Number of stills
+   * @param {Function} [options.beforeStill] - (index) => void, e.g. to move the camera
+   * @param {Function} options.onStill - async (canvas, index) => void; the canvas is reused
+   * @param {Function} [options.onProgress] - (fraction) => void, called per tile
+   * @returns {Promise<boolean>} false when cancelled
+   */
+  async renderStills({
+    width,
+    height,
+    transparent = false,
+    count = 1,
+    beforeStill,
+    onStill,
+    onProgress,
+  }) {
+    if (this.offlineRender) {
+      throw new Error('An export is already running');
+    }
+    const controller = new AbortController();
+    this.offlineRender = controller;
+
+    const tilesX = Math.ceil(width / IMAGE_TILE_SIZE);
+    const tilesY = Math.ceil(height / IMAGE_TILE_SIZE);
+    const tileCount = tilesX * tilesY;
+    const padding = tileCount > 1 ? IMAGE_TILE_PADDING : 0;
+    const tileWidth = tileCount > 1 ? IMAGE_TILE_SIZE : width;
+    const tileHeight = tileCount > 1 ? IMAGE_TILE_SIZE : height;
+    const renderWidth = tileWidth + padding * 2;
+    const renderHeight = tileHeight + padding * 2;
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+    const gl = this.renderer.getContext();
+    const colorPixels = new Uint8Array(renderWidth * renderHeight * 4);
+    const alphaPixels = transparent ? new Uint8Array(renderWidth * renderHeight * 4) : null;
+
     const originalPixelRatio = this.renderer.getPixelRatio();
-    const targetWidth = originalSize.x * 2;
-    const targetHeight = originalSize.y * 2;
+    const background = this.scene.background;
+    const clearColor = this.renderer.getClearColor(new THREE.Color());
+    const clearAlpha = this.renderer.getClearAlpha();
+    const lensFlare = this.lensFlareController?.lensFlare;
+    const lensFlareVisible = lensFlare?.visible ?? false;
 
-    this.renderer.setPixelRatio(originalPixelRatio * 2);
-    this.renderer.setSize(targetWidth, targetHeight, false);
-    this.composer.setSize(targetWidth, targetHeight);
-    this.render();
-    const dataUrl = this.renderer.domElement.toDataURL('image/png');
+    try {
+      this.setViewportHelpersVisible(false);
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(renderWidth, renderHeight, false);
+      this.updateRenderSize(renderWidth, renderHeight);
+      this.camera.aspect = width / height;
+      this.stillRender = true;
+      this.lensFlareController?.freezeTime();
+      if (transparent) {
+        // Black, fully transparent clear: color comes out premultiplied, alpha from a coverage pass
+        this.transparentRender = true;
+        this.scene.background = null;
+        this.renderer.setClearColor(0x000000, 0);
+      }
+
+      for (let index = 0; index < count; index += 1) {
+        beforeStill?.(index);
+        for (let ty = 0; ty < tilesY; ty += 1) {
+          for (let tx = 0; tx < tilesX; tx += 1) {
+            if (controller.signal.aborted) return false;
+            const x = tx * tileWidth;
+            const y = ty * tileHeight;
+            const viewX = x - padding;
+            const viewY = y - padding;
+            this.camera.setViewOffset(width, height, viewX, viewY, renderWidth, renderHeight);
+            this.postPipeline?.setViewRect(
+              viewX / width,
+              1 - (viewY + renderHeight) / height,
+              renderWidth / width,
+              renderHeight / height,
+            );
+
+            this.render();
+            this.renderer.setRenderTarget(null);
+            gl.readPixels(0, 0, renderWidth, renderHeight, gl.RGBA, gl.UNSIGNED_BYTE, colorPixels);
+            if (transparent) {
+              // Plain scene render: its alpha is the coverage of everything but the background
+              if (lensFlare) lensFlare.visible = false;
+              this.renderer.render(this.scene, this.camera);
+              if (lensFlare) lensFlare.visible = lensFlareVisible;
+              gl.readPixels(0, 0, renderWidth, renderHeight, gl.RGBA, gl.UNSIGNED_BYTE, alphaPixels);
+            }
 
-    const link = document.createElement('a');
-    const name = this.currentFile?.name ?? 'orby';
-    link.href = dataUrl;
-    link.download = `${name.replace(/\.[a-z0-9]+$/i, '')}-orby.png`;
-    link.click();
+            const tile = context.createImageData(
+              Math.min(tileWidth, width - x),
+              Math.min(tileHeight, height - y),
+            );
+            for (let row = 0; row < tile.height; row += 1) {
+              // readPixels rows run bottom-up
+              const sourceRow = renderHeight - 1 - (padding + row);
+              for (let column = 0; column < tile.width; column += 1) {
+                const source = (sourceRow * renderWidth + padding + column) * 4;
+                const target = (row * tile.width + column) * 4;
+                const alpha = transparent ? alphaPixels[source + 3] : 255;
+                const scale = alpha ? 255 / alpha : 0;
+                tile.data[target] = colorPixels[source] * scale;
+                tile.data[target + 1] = colorPixels[source + 1] * scale;
+                tile.data[target + 2] = colorPixels[source + 2] * scale;
+                tile.data[target + 3] = alpha;
+              }
+            }
+            context.putImageData(tile, x, y);
 
-    this.renderer.setPixelRatio(originalPixelRatio);
-    this.renderer.setSize(originalSize.x, originalSize.y, false);
-    this.composer.setSize(originalSize.x, originalSize.y);
+            onProgress?.((index * tileCount + ty * tilesX + tx + 1) / (count * tileCount));
+            // Yield so the progress UI paints and Cancel can be clicked
+            await new Promise((resolve) => setTimeout(resolve, 0));
+          }
+        }
+        await onStill(output, index);
+      }
+      return !controller.signal.aborted;
+    } finally {
+      this.offlineRender = null;
+      this.setViewportHelpersVisible(true);
+      this.stillRender = false;
+      this.transparentRender = false;
+      this.scene.background = background;
+      this.renderer.setClearColor(clearColor, clearAlpha);
+      if (lensFlare) lensFlare.visible = lensFlareVisible;
+      this.lensFlareController?.setFixedTime(null);
+      this.camera.clearViewOffset();
+      this.postPipeline?.setViewRect();
+      this.renderer.setPixelRatio(originalPixelRatio);
+      this.handleResize();
+      this.clock.getDelta();
+    }
   }
-}
 
+  /**
+   * Render a single still (see renderStills)
+   * @returns {Promise<HTMLCanvasElement|null>} null when cancelled
+   */
+  async renderImage({ width, height, transparent = false, onProgress }) {
+    let image = null;
+    const completed = await this.renderStills({
+      width,
+      height,
+      transparent,
+      onStill: (canvas) => {
+        image = canvas;
+      },
+      onProgress,
+    });
+    return completed ? image : null;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {number} [options.width] - Output width; ignored when scale is set
+   * @param {number} [options.height] - Output height; ignored when scale is set
+   * @param {number} [options.scale] - Multiple of the current drawing buffer size
+   * @param {'png'|'jpeg'|'webp'} [options.format]
+   * @param {number} [options.quality] - 0–1, JPEG and WebP only
+   * @param {boolean} [options.transparent] - PNG and WebP only
+   */
+  async exportImage({
+    width,
+    height,
+    scale,
+    format = 'png',
+    quality = 0.92,
+    transparent = false,
+  } = {}) {
+    if (this.offlineRender) return;
+    const type = IMAGE_FORMATS[format] ?? IMAGE_FORMATS.png;
+    if (scale) {
+      const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+      width = size.x * scale;
+      height = size.y * scale;
+    }
+    width = Math.round(width);
+    height = Math.round(height);
+    if (!(width > 0 && height > 0) || Math.max(width, height) > MAX_IMAGE_SIZE) {
+      this.ui.showToast(`Image size must be between 1 and ${MAX_IMAGE_SIZE} pixels`);
+      return;
+    }
+
+    this.ui.setExportProgress(0);
+    try {
+      const canvas = await this.renderImage({
+        width,
+        height,
+        transparent: transparent && type.alpha,
+        onProgress: (fraction) => this.ui.setExportProgress(fraction),
+      });
+      if (!canvas) {
+        this.ui.showToast('Image export cancelled');
+        return;
+      }
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, type.mime, quality));
+      if (!blob) {
+        throw new Error(`${width}×${height} is too large for this browser to encode`);
+      }
+      const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+      downloadBlob(blob, `${name}-orby.${type.extension}`);
+      this.ui.showToast(`Exported ${width}×${height} ${type.extension.toUpperCase()}`);
+    } catch (error) {
+      console.error('Image export failed', error);
+      this.ui.showToast('Image export failed');
+    } finally {
+      this.ui.setExportProgress(null);
+    }
+  }
+
+  /**
+   * Download the loaded model, converted to another format, with the viewer's
+   * scale, offset and rotation applied. Anything the format can't hold is reported.
+   * @param {Object} options
+   * @param {'glb'|'obj'|'stl'|'usdz'} [options.format] - Key of EXPORT_FORMATS
+   * @param {'original'|'current'} [options.materials] - As loaded, or the active shading (e.g. clay)
+   * @param {boolean} [options.bakeTransforms] - GLB only: bake into vertices rather than the root node
+   * @param {boolean} [options.keepAnimations] - GLB only
+   */
+  async exportModel({
+    format = 'glb',
+    materials = 'original',
+    bakeTransforms = true,
+    keepAnimations = true,
+  } = {}) {
+    if (!this.currentModel) {
+      this.ui.showToast('Load a model first');
+      return;
+    }
+    const type = EXPORT_FORMATS[format];
+    if (!type) return;
+    if (this.materialController.hasSplats()) {
+      this.ui.showToast('Gaussian splats cannot be exported as a mesh');
+      return;
+    }
+    const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+    try {
+      const { blob, lost, notes } = await this.modelExporter.export(this.currentModel, format, {
+        name,
+        matrix: this.transformController.getStateMatrix(this.stateStore.getState()),
+        materials,
+        bakeTransforms,
+        animations: keepAnimations || format !== 'glb' ? this.animationController.animations : [],
+      });
+      notes.forEach((note) => console.info(note));
+      if (lost.length) {
+        console.warn(`${type.label} export dropped: ${lost.join('; ')}`);
+      }
+      downloadBlob(blob, `${name}-orby.${type.extension}`);
+      this.ui.showToast(
+        lost.length ? `Exported ${type.label}, lost ${lost.join(', ')}` : `Exported ${type.label}`,
+      );
+    } catch (error) {
+      console.error(`${type.label} export failed`, error);
+      this.ui.showToast(`${type.label} export failed`);
+    }
+  }
+
+  /**
+   * Render the model from several camera presets into one grid image
+   * @param {Object} options
+   * @param {string[]} [options.presets] - Keys of CAMERA_PRESETS, in reading order
+   * @param {number} [options.columns]
+   * @param {number} [options.cellWidth] - Pixels per cell
+   * @param {number} [options.cellHeight]
+   * @param {boolean} [options.labels] - Print the mesh stats under each view name
+   * @param {Function} [options.onProgress] - (fraction) => void
+   * @returns {Promise<HTMLCanvasElement|null>} null when cancelled
+   */
+  async renderContactSheet({
+    presets = CONTACT_SHEET_PRESETS,
+    columns = 3,
+    cellWidth = 800,
+    cellHeight = 800,
+    labels = true,
+    onProgress,
+  } = {}) {
+    const views = presets.filter((preset) => CAMERA_PRESETS[preset]);
+    if (!views.length) {
+      throw new Error('No camera presets to render');
+    }
+    const columnCount = Math.max(1, Math.min(columns, views.length));
+    const rowCount = Math.ceil(views.length / columnCount);
+    const sheet = document.createElement('canvas');
+    sheet.width = columnCount * cellWidth;
+    sheet.height = rowCount * cellHeight;
+    const context = sheet.getContext('2d');
+    context.fillStyle = this.backgroundColor;
+    context.fillRect(0, 0, sheet.width, sheet.height);
+
+    const stats = labels ? this.currentStats : null;
+    const statLines = stats
+      ? [
+          !stats.triangles && stats.points
+            ? `${stats.points.toLocaleString()} points`
+            : `${stats.triangles.toLocaleString()} tris · ${stats.vertices.toLocaleString()} verts`,
+          `${stats.materials} materials · ${stats.textures} textures`,
+          stats.bounds,
+        ]
+      : [];
+    const fontSize = Math.max(12, Math.round(cellHeight / 36));
+    const margin = Math.round(fontSize * 0.8);
+
+    const cameraPosition = this.camera.position.clone();
+    const cameraQuaternion = this.camera.quaternion.clone();
+    try {
+      const completed = await this.renderStills({
+        width: cellWidth,
+        height: cellHeight,
+        count: views.length,
+        // Point the camera directly; going through OrbitControls would add any leftover damping
+        beforeStill: (index) => {
+          const pose = this.cameraController.getCameraPresetPose(views[index]);
+          if (!pose) return;
+          this.camera.position.copy(pose.position);
+          this.camera.lookAt(pose.target);
+        },
+        onStill: (canvas, index) => {
+          const x = (index % columnCount) * cellWidth;
+          const y = Math.floor(index / columnCount) * cellHeight;
+          context.drawImage(canvas, x, y);
+
+          context.save();
+          context.font = `600 ${fontSize}px system-ui, sans-serif`;
+          context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+          context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+          context.shadowBlur = fontSize / 4;
+          context.textBaseline = 'top';
+          context.fillText(CAMERA_PRESETS[views[index]].label, x + margin, y + margin);
+          context.font = `${Math.round(fontSize * 0.8)}px system-ui, sans-serif`;
+          context.textBaseline = 'bottom';
+          statLines.forEach((line, lineIndex) => {
+            const lineY = y + cellHeight - margin - (statLines.length - 1 - lineIndex) * fontSize;
+            context.fillText(line, x + margin, lineY);
+          });
+          context.restore();
+        },
+        onProgress,
+      });
+      return completed ? sheet : null;
+    } finally {
+      this.camera.position.copy(cameraPosition);
+      this.camera.quaternion.copy(cameraQuaternion);
+    }
+  }
+
+  async exportContactSheet(options = {}) {
+    if (!this.currentModel) {
+      this.ui.showToast('Load a model first');
+      return;
+    }
+    if (this.offlineRender) return;
+
+    this.ui.setExportProgress(0);
+    try {
+      const sheet = await this.renderContactSheet({
+        ...options,
+        onProgress: (fraction) => this.ui.setExportProgress(fraction),
+      });
+      if (!sheet) {
+        this.ui.showToast('Contact sheet cancelled');
+        return;
+      }
+      const blob = await new Promise((resolve) => sheet.toBlob(resolve, 'image/png'));
+      if (!blob) {
+        throw new Error('Contact sheet is too large for this browser to encode');
+      }
+      const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+      downloadBlob(blob, `${name}-contact-sheet.png`);
+      this.ui.showToast('Contact sheet exported');
+    } catch (error) {
+      console.error('Contact sheet export failed', error);
+      this.ui.showToast('Contact sheet export failed');
+    } finally {
+      this.ui.setExportProgress(null);
+    }
+  }
+
+  /**
+   * Render frames at a fixed timestep and exact size, independent of the
+   * display. The live loop, resize handling and camera input pause until it
+   * finishes. Every run starts from the same state (animation at 0, lights and
+   * model at their stored rotation, auto-exposure and lens flare reset, camera
+   * focus and HDRI fade-in finished), so two runs with the same seed give
+   * identical frames once the model and HDRI have finished loading and the
+   * model's load-in fade is over.
+   * @param {Object} options
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.fps - Frames per second; each frame advances 1/fps
+   * @param {number} options.frameCount - Number of frames to render
+   * @param {number} [options.seed] - Offsets the film grain clock
+   * @param {Function} [options.beforeFrame] - (index) => void, runs before the scene advances
+   * @param {Function} options.onFrame - async (canvas, index) => void, runs right after rendering
+   * @param {Function} [options.onProgress] - (fraction) => void
+   * @returns {Promise<boolean>} false when cancelled
+   */
+  async renderOffline({
+    width,
+    height,
+    fps,
+    frameCount,
+    seed = 0,
+    beforeFrame,
+    onFrame,
+    onProgress,
+  }) {
+    if (this.offlineRender) {
+      throw new Error('An export is already running');
+    }
+    const controller = new AbortController();
+    this.offlineRender = controller;
+    const delta = 1 / fps;
+    const state = this.stateStore.getState();
+    const originalPixelRatio = this.renderer.getPixelRatio();
+    const liveQuaternion = this.modelRoot.quaternion.clone();
+    const liveLightsRotation = this.lightsRotation;
+    const controls = this.cameraController?.controls;
+    const controlsState = controls && {
+      enabled: controls.enabled,
+      enableDamping: controls.enableDamping,
+    };
+
+    try {
+      this.setViewportHelpersVisible(false);
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(width, height, false);
+      this.updateRenderSize(width, height);
+
+      // Tweens run on wall-clock time; land them so every run starts from their end state
+      this.cameraController?.finishFocusAnimation();
+      this.environmentController?.finishFade();
+      if (controls) {
+        // Settle any leftover orbit momentum and keep input out of the frames
+        controls.enableDamping = false;
+        controls.update();
+        controls.enabled = false;
+      }
+      this.modelRoot.rotation.set(
+        THREE.MathUtils.degToRad(state.rotationX ?? 0),
+        THREE.MathUtils.degToRad(state.rotationY ?? 0),
+        THREE.MathUtils.degToRad(state.rotationZ ?? 0),
+      );
+      this.setLightsRotation(state.lightsRotation ?? 0, { updateUi: false });
+      this.animationController.scrub(0);
+      this.postPipeline?.setGrainTime(seed * 60);
+      this.autoExposureController?.reset();
+
+      for (let index = 0; index < frameCount; index += 1) {
+        if (controller.signal.aborted) return false;
+        beforeFrame?.(index);
+        this.lensFlareController?.setFixedTime(index * delta, index ? delta : 0);
+        this.advance(delta);
+        this.render();
+        await onFrame(this.renderer.domElement, index);
+        onProgress?.((index + 1) / frameCount);
+        // Yield so the progress UI paints and Cancel can be clicked
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      return !controller.signal.aborted;
+    } finally {
+      this.offlineRender = null;
+      this.setViewportHelpersVisible(true);
+      this.lensFlareController?.setFixedTime(null);
+      if (controls) {
+        controls.enabled = controlsState.enabled;
+        controls.enableDamping = controlsState.enableDamping;
+      }
+      this.modelRoot.quaternion.copy(liveQuaternion);
+      this.setLightsRotation(liveLightsRotation);
+      this.renderer.setPixelRatio(originalPixelRatio);
+      this.handleResize();
+      this.clock.getDelta(); // Don't replay the export time as one huge live frame
+    }
+  }
+
+  /**
+   * Record a 360° turntable of the model to WebM
+   * @param {{ duration: number, fps: number, width: number, height: number, axis: 'x'|'y'|'z' }} options
+   */
+  async exportTurntable({ duration = 6, fps = 30, width = 1920, height = 1080, axis = 'y' } = {}) {
+    if (!this.currentModel) {
+      this.ui.showToast('Load a model first');
+      return;
+    }
+    if (this.offlineRender) return;
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const rotationAxis = TURNTABLE_AXES[axis] ?? TURNTABLE_AXES.y;
+    const baseQuaternion = new THREE.Quaternion();
+    const turn = new THREE.Quaternion();
+    const autoRotateSpeed = this.autoRotateSpeed;
+
+    let encoder;
+    try {
+      encoder = await createWebmEncoder({ width, height, fps });
+    } catch (error) {
+      console.error('Failed to start turntable export', error);
+      this.ui.showToast(error.message);
+      return;
+    }
+
+    this.ui.setExportProgress(0);
+    // The turntable replaces auto-rotate for the duration of the recording
+    this.autoRotateSpeed = 0;
+    try {
+      const completed = await this.renderOffline({
+        width,
+        height,
+        fps,
+        frameCount,
+        // A full turn over frameCount frames, so the last frame loops into the first
+        beforeFrame: (index) => {
+          if (index === 0) baseQuaternion.copy(this.modelRoot.quaternion);
+          turn.setFromAxisAngle(rotationAxis, (index / frameCount) * Math.PI * 2);
+          this.modelRoot.quaternion.copy(baseQuaternion).premultiply(turn);
+        },
+        onFrame: (canvas, index) => encoder.addFrame(canvas, index),
+        onProgress: (fraction) => this.ui.setExportProgress(fraction),
+      });
+      if (!completed) {
+        encoder.cancel();
+        this.ui.showToast('Turntable export cancelled');
+        return;
+      }
+      const blob = await encoder.finish();
+      const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+      downloadBlob(blob, `${name}-turntable.webm`);
+      this.ui.showToast('Turntable exported');
+    } catch (error) {
+      encoder.cancel();
+      console.error('Turntable export failed', error);
+      this.ui.showToast('Turntable export failed');
+    } finally {
+      this.autoRotateSpeed = autoRotateSpeed;
+      this.ui.setExportProgress(null);
+    }
+  }
+
+  /**
+   * Render a fixed-timestep PNG sequence and pack it into a ZIP. Once the
+   * scene has settled (see renderOffline), frames are byte-identical between
+   * runs with the same settings and seed, so this is also usable for visual
+   * regression checks (orby.scene.renderFrameSequence).
+   * @param {Object} options
+   * @param {number} [options.duration] - Seconds to render (ignored when frameCount is set)
+   * @param {number} [options.frameCount] - Exact number of frames
+   * @param {number} [options.fps]
+   * @param {number} [options.width]
+   * @param {number} [options.height]
+   * @param {number} [options.seed] - Film grain seed
+   * @param {Function} [options.onProgress] - (fraction) => void
+   * @returns {Promise<Blob|null>} ZIP of frames/frame_0000.png…, or null when cancelled
+   */
+  async renderFrameSequence({
+    duration = 2,
+    frameCount,
+    fps = 30,
+    width = 1920,
+    height = 1080,
+    seed = 0,
+    onProgress,
+  } = {}) {
+    const count = Math.max(1, Math.round(frameCount ?? duration * fps));
+    const digits = Math.max(4, String(count - 1).length);
+    const zip = createZipWriter();
+    const pending = [];
+    // Frames go into the archive in order as soon as they're encoded, so only
+    // the few still in flight are held as PNG blobs
+    const encoded = new Map();
+    let nextFrame = 0;
+    let writing = Promise.resolve();
+    const writeEncoded = () => {
+      writing = writing.then(async () => {
+        while (encoded.has(nextFrame)) {
+          const blob = encoded.get(nextFrame);
+          encoded.delete(nextFrame);
+          const name = `frames/frame_${String(nextFrame).padStart(digits, '0')}.png`;
+          zip.add(name, new Uint8Array(await blob.arrayBuffer()));
+          nextFrame += 1;
+        }
+      });
+    };
+
+    const completed = await this.renderOffline({
+      width,
+      height,
+      fps,
+      frameCount: count,
+      seed,
+      // toBlob snapshots the canvas synchronously; encoding finishes in the background
+      onFrame: (canvas, index) => {
+        pending.push(
+          new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+              if (!blob) {
+                reject(new Error(`Frame ${index} could not be encoded`));
+                return;
+              }
+              encoded.set(index, blob);
+              writeEncoded();
+              resolve();
+            }, 'image/png');
+          }),
+        );
+      },
+      onProgress,
+    });
+    await Promise.all(pending);
+    await writing;
+    if (!completed) return null;
+    return zip.finish();
+  }
+
+  async exportFrameSequence(options = {}) {
+    if (!this.currentModel) {
+      this.ui.showToast('Load a model first');
+      return;
+    }
+    if (this.offlineRender) return;
+
+    this.ui.setExportProgress(0);
+    try {
+      const zip = await this.renderFrameSequence({
+        ...options,
+        onProgress: (fraction) => this.ui.setExportProgress(fraction),
+      });
+      if (!zip) {
+        this.ui.showToast('Frame export cancelled');
+        return;
+      }
+      const name = (this.currentFile?.name ?? 'orby').replace(/\.[a-z0-9]+$/i, '');
+      downloadBlob(zip, `${name}-frames.zip`);
+      this.ui.showToast('Frames exported');
+    } catch (error) {
+      console.error('Frame export failed', error);
+      this.ui.showToast('Frame export failed');
+    } finally {
+      this.ui.setExportProgress(null);
+    }
+  }
+}
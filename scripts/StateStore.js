@@ -1,4 +1,15 @@
 import { CAMERA_TEMPERATURE_NEUTRAL_K } from './constants.js';
+import { STUDIO_ENVIRONMENT_DEFAULTS } from './config/hdri.js';
+import {
+  STATE_SCHEMA_VERSION,
+  STATE_STORAGE_KEY,
+  STATE_MIGRATIONS,
+} from './config/stateSchema.js';
+import { deepMerge, isPlainObject } from './utils/deepMerge.js';
+import { getLocalStorage } from './utils/storage.js';
+
+const PERSIST_DELAY_MS = 300;
+const HISTORY_LIMIT = 100;
 
 const clone = (value) => {
   if (typeof structuredClone === 'function') {
@@ -7,8 +18,26 @@ const clone = (value) => {
   return JSON.parse(JSON.stringify(value));
 };
 
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Walk the defaults shape and take stored values where the type matches.
+// Unknown keys are dropped, missing keys fall back to their default.
+const mergeWithDefaults = (defaults, stored) => {
+  if (isPlainObject(defaults)) {
+    const source = isPlainObject(stored) ? stored : {};
+    const result = {};
+    Object.keys(defaults).forEach((key) => {
+      result[key] = mergeWithDefaults(defaults[key], source[key]);
+    });
+    return result;
+  }
+  if (typeof stored !== typeof defaults) return defaults;
+  if (typeof stored === 'number' && !Number.isFinite(stored)) return defaults;
+  return stored;
+};
+
 export class StateStore {
-  constructor() {
+  constructor({ persist = true, storageKey = STATE_STORAGE_KEY } = {}) {
     this.defaults = {
       shading: 'shaded',
       scale: 1,
@@ -18,12 +47,14 @@ export class StateStore {
       rotationZ: 0,
       autoRotate: 0,
       showNormals: false,
+      pointSize: 2,
       hdri: 'meadow',
       hdriEnabled: true,
       hdriStrength: 1.50,
       hdriBlurriness: 0,
       hdriRotation: 0,
       hdriBackground: true,
+      studioEnvironment: { ...STUDIO_ENVIRONMENT_DEFAULTS },
       groundSolid: false,
       groundWire: false,
       groundWireOpacity: 1.0,
@@ -60,6 +91,7 @@ export class StateStore {
       lightsMaster: 0.30,
       lightsRotation: 0,
       lightsAutoRotate: false,
+      lightsAlignToHdri: false,
       showLightIndicators: false,
       lensFlare: {
         enabled: false,
@@ -106,8 +138,84 @@ export class StateStore {
       toneMapping: 'aces-filmic',
       background: '#000000',
     };
-    this.state = clone(this.defaults);
+    this.storageKey = storageKey;
+    this.storage = persist ? getLocalStorage() : null;
+    this.persistTimer = null;
+    this.state = this.loadPersistedState();
     this.subscribers = new Set();
+    this.history = { past: [], future: [] };
+    this.transaction = null;
+    this.historySuspended = 0;
+
+    if (this.storage && typeof window !== 'undefined') {
+      // Flush any pending debounced write before the tab goes away
+      window.addEventListener('pagehide', () => this.flush());
+    }
+  }
+
+  loadPersistedState() {
+    if (!this.storage) return clone(this.defaults);
+    let raw = null;
+    try {
+      raw = this.storage.getItem(this.storageKey);
+      if (!raw) return clone(this.defaults);
+      const payload = JSON.parse(raw);
+      if (!isPlainObject(payload) || !isPlainObject(payload.state)) {
+        throw new Error('Malformed payload');
+      }
+      const migrated = this.migrate(payload.state, payload.version ?? 1);
+      return mergeWithDefaults(this.defaults, migrated);
+    } catch (error) {
+      console.warn('[StateStore] discarding persisted state', error);
+      this.clearPersisted();
+      return clone(this.defaults);
+    }
+  }
+
+  migrate(state, fromVersion) {
+    if (!Number.isInteger(fromVersion) || fromVersion > STATE_SCHEMA_VERSION) {
+      throw new Error(`Unsupported state version: ${fromVersion}`);
+    }
+    let migrated = clone(state);
+    for (let version = fromVersion; version < STATE_SCHEMA_VERSION; version += 1) {
+      const step = STATE_MIGRATIONS[version];
+      if (typeof step !== 'function') {
+        throw new Error(`Missing state migration from version ${version}`);
+      }
+      migrated = step(migrated) ?? migrated;
+    }
+    return migrated;
+  }
+
+  schedulePersist() {
+    if (!this.storage) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY_MS);
+  }
+
+  flush() {
+    if (!this.storage) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      this.storage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: STATE_SCHEMA_VERSION, state: this.state }),
+      );
+    } catch (error) {
+      // Quota exceeded or storage revoked mid-session
+      console.warn('[StateStore] failed to persist state', error);
+    }
+  }
+
+  clearPersisted() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      this.storage?.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('[StateStore] failed to clear persisted state', error);
+    }
   }
 
   getState() {
@@ -132,9 +240,25 @@ export class StateStore {
         console.error('[StateStore] subscriber failed', error);
       }
     }
+    this.schedulePersist();
   }
 
-  set(path, value) {
+  set(path, value, { history = true } = {}) {
+    const before = clone(this.get(path));
+    this.write(path, value);
+    if (history) {
+      this.record(path, before, value);
+    }
+    this.notify();
+  }
+
+  get(path) {
+    return path
+      .split('.')
+      .reduce((target, key) => (target == null ? undefined : target[key]), this.state);
+  }
+
+  write(path, value) {
     const segments = path.split('.');
     let target = this.state;
     for (let i = 0; i < segments.length - 1; i += 1) {
@@ -143,13 +267,132 @@ export class StateStore {
       target = target[key];
     }
     target[segments.at(-1)] = value;
+  }
+
+  // Deep-merge a partial state (looks, shared links) as a single undo step
+  merge(patch, { history = true } = {}) {
+    this.transact(() => {
+      Object.entries(patch).forEach(([key, value]) => {
+        const before = clone(this.state[key]);
+        const next = clone(deepMerge(this.state[key], value));
+        this.write(key, next);
+        if (history) {
+          this.record(key, before, next);
+        }
+      });
+    }, 'merge');
     this.notify();
   }
 
   reset() {
+    const previous = this.state;
     this.state = clone(this.defaults);
+    this.transact(() => {
+      Object.keys(this.state).forEach((key) => {
+        this.record(key, previous[key], this.state[key]);
+      });
+    });
     this.notify();
     return this.getState();
   }
-}
 
+  record(path, before, after) {
+    if (this.historySuspended > 0 || isEqual(before, after)) return;
+    const change = { path, before: clone(before), after: clone(after) };
+    if (this.transaction) {
+      // Keep the oldest "before" so a whole drag collapses into one step
+      const existing = this.transaction.changes.find((entry) => entry.path === path);
+      if (existing) {
+        existing.after = change.after;
+      } else {
+        this.transaction.changes.push(change);
+      }
+      return;
+    }
+    this.pushHistory({ label: null, changes: [change] });
+  }
+
+  pushHistory(entry) {
+    this.history.past.push(entry);
+    if (this.history.past.length > HISTORY_LIMIT) {
+      this.history.past.shift();
+    }
+    this.history.future = [];
+  }
+
+  beginTransaction(label = null) {
+    if (this.transaction) {
+      this.transaction.depth += 1;
+      return;
+    }
+    this.transaction = { label, changes: [], depth: 1 };
+  }
+
+  commitTransaction() {
+    if (!this.transaction) return;
+    this.transaction.depth -= 1;
+    if (this.transaction.depth > 0) return;
+    const { label, changes } = this.transaction;
+    this.transaction = null;
+    const effective = changes.filter((change) => !isEqual(change.before, change.after));
+    if (effective.length) {
+      this.pushHistory({ label, changes: effective });
+    }
+  }
+
+  transact(callback, label = null) {
+    this.beginTransaction(label);
+    try {
+      return callback();
+    } finally {
+      this.commitTransaction();
+    }
+  }
+
+  withoutHistory(callback) {
+    this.historySuspended += 1;
+    try {
+      return callback();
+    } finally {
+      this.historySuspended -= 1;
+    }
+  }
+
+  canUndo() {
+    return this.history.past.length > 0;
+  }
+
+  canRedo() {
+    return this.history.future.length > 0;
+  }
+
+  // Returns { label, paths } so callers can re-emit the matching events
+  undo() {
+    if (this.transaction) this.commitTransaction();
+    const entry = this.history.past.pop();
+    if (!entry) return null;
+    [...entry.changes].reverse().forEach(({ path, before }) => {
+      this.write(path, clone(before));
+    });
+    this.history.future.push(entry);
+    this.notify();
+    return { label: entry.label, paths: entry.changes.map((change) => change.path) };
+  }
+
+  redo() {
+    if (this.transaction) this.commitTransaction();
+    const entry = this.history.future.pop();
+    if (!entry) return null;
+    entry.changes.forEach(({ path, after }) => {
+      this.write(path, clone(after));
+    });
+    this.history.past.push(entry);
+    this.notify();
+    return { label: entry.label, paths: entry.changes.map((change) => change.path) };
+  }
+
+  clearHistory() {
+    this.history = { past: [], future: [] };
+    this.transaction = null;
+  }
+}
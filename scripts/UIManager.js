@@ -1,7 +1,30 @@
 import { gsap } from 'https://cdn.jsdelivr.net/npm/gsap@3.12.5/index.js';
 
-import { HDRI_STRENGTH_UNIT } from './config/hdri.js';
-import { CAMERA_TEMPERATURE_NEUTRAL_K } from './constants.js';
+import { HDRI_STRENGTH_UNIT, getHdriFileType } from './config/hdri.js';
+import { getStateEvents } from './config/stateEvents.js';
+import {
+  CAMERA_TEMPERATURE_NEUTRAL_K,
+  CHANNEL_SHADINGS,
+  QUALITY_CHECK_COLORS,
+} from './constants.js';
+import { LookLibrary } from './LookLibrary.js';
+import { LOOK_FILE_EXTENSION } from './config/looks.js';
+import { STATE_SCHEMA_VERSION } from './config/stateSchema.js';
+import { downloadBlob } from './utils/download.js';
+import { decodeStateHash, diffState, encodeStateHash } from './utils/stateHash.js';
+import { validateStatePatch } from './utils/stateValidation.js';
+
+// Studio environment inputs → state.studioEnvironment keys and label formats
+const STUDIO_ENVIRONMENT_CONTROLS = {
+  studioSoftboxIntensity: { key: 'softboxIntensity', format: 'decimal' },
+  studioSoftboxSize: { key: 'softboxSize', format: 'decimal' },
+  studioSoftboxHeight: { key: 'softboxHeight', format: 'angle' },
+  studioFillIntensity: { key: 'fillIntensity', format: 'decimal' },
+  studioStripIntensity: { key: 'stripIntensity', format: 'decimal' },
+  studioStripCount: { key: 'stripCount', format: 'integer' },
+  studioGradientTop: { key: 'gradientTop', format: 'color' },
+  studioGradientBottom: { key: 'gradientBottom', format: 'color' },
+};
 
 export class UIManager {
   constructor(eventBus, stateStore) {
@@ -14,6 +37,9 @@ export class UIManager {
     this.animationPlaying = false;
     this.shelfRevealed = false;
     this.dropzoneVisible = true;
+    this.qualityAvailable = false;
+    this.qualityRunning = false;
+    this.looks = new LookLibrary(stateStore);
   }
 
   init() {
@@ -46,8 +72,24 @@ export class UIManager {
     this.dom.tabs = document.querySelectorAll('.tab');
     this.dom.panels = document.querySelectorAll('.panel');
     this.dom.toastTemplate = document.querySelector('#toastTemplate');
+    this.dom.modelChooser = q('#modelChooser');
+    this.dom.modelChooserList = q('#modelChooserList');
+    this.dom.modelChooserCancel = q('#modelChooserCancel');
     this.dom.stats = q('#meshStats');
     this.dom.animationBlock = q('#animationBlock');
+    this.dom.pointCloudBlock = q('#pointCloudBlock');
+    this.dom.pickInfo = q('#pickInfo');
+    this.dom.pickInfoName = q('#pickInfoName');
+    this.dom.pickInfoClose = q('#pickInfoClose');
+    this.dom.qualityAnalyze = q('#qualityAnalyze');
+    this.dom.qualityExport = q('#qualityExport');
+    this.dom.qualityList = q('#qualityList');
+    this.dom.outlinerBlock = q('#outlinerBlock');
+    this.dom.outlinerTree = q('#outlinerTree');
+    this.dom.outlinerShowAll = q('#outlinerShowAll');
+    this.dom.materialsBlock = q('#materialsBlock');
+    this.dom.materialList = q('#materialList');
+    this.dom.materialItemTemplate = q('#materialItemTemplate');
     this.dom.animationSelect = q('#animationSelect');
     this.dom.playPause = q('#playPause');
     this.dom.animationScrub = q('#animationScrub');
@@ -65,10 +107,15 @@ export class UIManager {
       rotationZ: q('#rotationZControl'),
       autoRotate: document.querySelectorAll('input[name="autorotate"]'),
       showNormals: q('#showNormals'),
+      pointSize: q('#pointSizeControl'),
       hdriEnabled: q('#hdriEnabled'),
       hdriStrength: q('#hdriStrength'),
       hdriBlurriness: q('#hdriBlurriness'),
       hdriRotation: q('#hdriRotation'),
+      studioEnvironmentControls: q('#studioEnvironmentControls'),
+      ...Object.fromEntries(
+        Object.keys(STUDIO_ENVIRONMENT_CONTROLS).map((id) => [id, q(`#${id}`)]),
+      ),
       hdriBackground: q('#hdriBackground'),
       lensFlareEnabled: q('#lensFlareEnabled'),
       lensFlareRotation: q('#lensFlareRotation'),
@@ -94,12 +141,16 @@ export class UIManager {
       podiumScale: q('#podiumScale'),
       gridScale: q('#gridScale'),
       hdriButtons: document.querySelectorAll('[data-hdri]'),
+      hdriGrid: q('#hdriGrid'),
+      hdriImport: q('#hdriImport'),
+      hdriFile: q('#hdriFileInput'),
       lightControls: document.querySelectorAll('.light-color-row'),
       lightsEnabled: q('#lightsEnabled'),
       lightsMaster: q('#lightsMaster'),
       lightsRotation: q('#lightsRotation'),
       lightsAutoRotate: q('#lightsAutoRotate'),
       showLightIndicators: q('#showLightIndicators'),
+      lightsAlignToHdri: q('#lightsAlignToHdri'),
       dofFocus: q('#dofFocus'),
       dofAperture: q('#dofAperture'),
       dofStrength: q('#dofStrength'),
@@ -133,6 +184,27 @@ export class UIManager {
       cameraSaturation: q('#cameraSaturation'),
       antiAliasing: q('#antiAliasing'),
       toneMapping: q('#toneMapping'),
+      lookSelect: q('#lookSelect'),
+      lookName: q('#lookName'),
+      lookFile: q('#lookFileInput'),
+      turntableDuration: q('#turntableDuration'),
+      turntableFps: q('#turntableFps'),
+      turntableResolution: q('#turntableResolution'),
+      turntableAxis: q('#turntableAxis'),
+      frameSeed: q('#frameSeed'),
+      imageSize: q('#imageSize'),
+      imageWidth: q('#imageWidth'),
+      imageHeight: q('#imageHeight'),
+      imageFormat: q('#imageFormat'),
+      imageQuality: q('#imageQuality'),
+      imageTransparent: q('#imageTransparent'),
+      modelExportFormat: q('#modelExportFormat'),
+      modelExportMaterials: q('#modelExportMaterials'),
+      modelExportBake: q('#modelExportBake'),
+      modelExportAnimations: q('#modelExportAnimations'),
+      contactSheetColumns: q('#contactSheetColumns'),
+      contactSheetCell: q('#contactSheetCell'),
+      contactSheetLabels: q('#contactSheetLabels'),
     };
 
     this.buttons = {
@@ -144,7 +216,24 @@ export class UIManager {
       resetMesh: q('#resetMeshSettings'),
       resetRender: q('#resetRenderSettings'),
       loadMesh: q('#loadMeshButton'),
+      lookApply: q('#lookApply'),
+      lookSave: q('#lookSave'),
+      lookRename: q('#lookRename'),
+      lookDelete: q('#lookDelete'),
+      lookExport: q('#lookExport'),
+      lookImport: q('#lookImport'),
+      shareLink: q('#copyShareLink'),
+      exportTurntable: q('#exportTurntable'),
+      exportFrames: q('#exportFrames'),
+      exportModel: q('#exportModel'),
+      exportContactSheet: q('#exportContactSheet'),
+      exportCancel: q('#exportCancel'),
     };
+    this.dom.imageCustomSize = q('#imageCustomSize');
+    this.dom.contactSheetViews = q('#contactSheetViews');
+    this.dom.imageQualityControl = q('#imageQualityControl');
+    this.dom.exportProgress = q('#exportProgress');
+    this.dom.exportProgressBar = q('#exportProgressBar');
 
     this.dom.blocks = {};
     this.dom.subsections = {};
@@ -175,11 +264,254 @@ export class UIManager {
     this.bindCopyButtons();
     this.bindLocalResetButtons();
     this.bindRotationNotches();
+    this.bindHistoryGrouping();
+    this.bindLookControls();
+  }
+
+  bindHistoryGrouping() {
+    // Sliders and color pickers fire 'input' continuously and a single 'change'
+    // on release; collapse everything in between into one undo step.
+    // Capture phase so the transaction is open before the control's own handler runs.
+    let openTarget = null;
+    const isContinuous = (target) =>
+      target?.tagName === 'INPUT' && (target.type === 'range' || target.type === 'color');
+    const close = () => {
+      if (!openTarget) return;
+      openTarget = null;
+      this.stateStore.commitTransaction();
+    };
+    document.addEventListener(
+      'input',
+      (event) => {
+        if (openTarget || !isContinuous(event.target)) return;
+        openTarget = event.target;
+        this.stateStore.beginTransaction(event.target.id || null);
+      },
+      true,
+    );
+    document.addEventListener('change', (event) => {
+      if (isContinuous(event.target)) close();
+    });
+    document.addEventListener('focusout', (event) => {
+      if (isContinuous(event.target)) close();
+    });
+    // A slider drag always ends with pointerup, even when no change follows
+    // (a handler threw, or the slider was disabled or removed mid-drag), so
+    // the transaction can't stay open and swallow every later edit
+    document.addEventListener(
+      'pointerup',
+      () => {
+        if (openTarget?.type === 'range') close();
+      },
+      true,
+    );
+  }
+
+  undo() {
+    const step = this.stateStore.undo();
+    if (!step) {
+      this.showToast('Nothing to undo');
+      return;
+    }
+    this.replayStateEvents(step.paths);
+  }
+
+  redo() {
+    const step = this.stateStore.redo();
+    if (!step) {
+      this.showToast('Nothing to redo');
+      return;
+    }
+    this.replayStateEvents(step.paths);
+  }
+
+  replayStateEvents(paths) {
+    const state = this.stateStore.getState();
+    // Scene handlers write back into the store; keep those echoes out of history
+    this.stateStore.withoutHistory(() => {
+      getStateEvents(paths, state).forEach(([event, payload]) => {
+        this.eventBus.emit(event, payload);
+      });
+    });
+    this.syncUIFromState();
+  }
+
+  bindLookControls() {
+    if (!this.inputs.lookSelect) return;
+    this.renderLookOptions();
+    const selectedId = () => this.inputs.lookSelect.value;
+    // Library methods throw user-facing messages for invalid actions
+    const run = (action) => {
+      try {
+        action();
+      } catch (error) {
+        this.showToast(error.message);
+      }
+    };
+
+    this.inputs.lookSelect.addEventListener('change', () => this.updateLookButtons());
+    this.buttons.lookApply?.addEventListener('click', () => this.applyLook(selectedId()));
+    this.buttons.lookSave?.addEventListener('click', () =>
+      run(() => {
+        const look = this.looks.save(this.inputs.lookName.value);
+        this.renderLookOptions(look.id);
+        this.showToast(`Look saved: ${look.name}`);
+      }),
+    );
+    this.buttons.lookRename?.addEventListener('click', () =>
+      run(() => {
+        const look = this.looks.rename(selectedId(), this.inputs.lookName.value);
+        this.renderLookOptions(look.id);
+        this.showToast(`Look renamed to ${look.name}`);
+      }),
+    );
+    this.buttons.lookDelete?.addEventListener('click', () =>
+      run(() => {
+        const look = this.looks.delete(selectedId());
+        this.renderLookOptions();
+        this.showToast(`Look deleted: ${look.name}`);
+      }),
+    );
+    this.buttons.lookExport?.addEventListener('click', () => {
+      const file = this.looks.toFile(selectedId());
+      if (!file) return;
+      downloadBlob(file.blob, file.filename);
+    });
+    this.buttons.lookImport?.addEventListener('click', () => this.inputs.lookFile?.click());
+    this.buttons.shareLink?.addEventListener('click', () => this.copyShareLink());
+    this.inputs.lookFile?.addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (!file) return;
+      try {
+        const text = await file.text();
+        const fallbackName = file.name.replace(LOOK_FILE_EXTENSION, '').replace(/\.json$/i, '');
+        const { look, errors } = this.looks.import(text, fallbackName);
+        this.renderLookOptions(look.id);
+        if (errors.length) {
+          console.warn('Look import skipped invalid settings', errors);
+          this.showToast(`Look imported, ${errors.length} invalid setting(s) skipped`);
+        } else {
+          this.showToast(`Look imported: ${look.name}`);
+        }
+      } catch (error) {
+        console.error('Failed to import look', error);
+        this.showToast(error.message || 'Could not import look');
+      }
+    });
+  }
+
+  renderLookOptions(selectedId = null) {
+    const select = this.inputs.lookSelect;
+    if (!select) return;
+    const looks = this.looks.list();
+    select.innerHTML = '';
+    [
+      ['Built-in', looks.filter((look) => look.builtIn)],
+      ['Saved', looks.filter((look) => !look.builtIn)],
+    ].forEach(([label, entries]) => {
+      if (!entries.length) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      entries.forEach((look) => {
+        const option = document.createElement('option');
+        option.value = look.id;
+        option.textContent = look.name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+    if (selectedId) {
+      select.value = selectedId;
+    }
+    this.updateLookButtons();
+  }
+
+  updateLookButtons() {
+    const look = this.looks.get(this.inputs.lookSelect?.value);
+    const isBuiltIn = !look || look.builtIn;
+    if (this.buttons.lookRename) this.buttons.lookRename.disabled = isBuiltIn;
+    if (this.buttons.lookDelete) this.buttons.lookDelete.disabled = isBuiltIn;
+    if (this.inputs.lookName && look && !look.builtIn) {
+      this.inputs.lookName.value = look.name;
+    }
+  }
+
+  applyLook(id) {
+    const look = this.looks.get(id);
+    if (!look) return;
+    this.stateStore.merge(look.state);
+    this.eventBus.emit('look:apply', look);
+    this.showToast(`Look applied: ${look.name}`);
+  }
+
+  async copyShareLink() {
+    try {
+      const delta = diffState(this.stateStore.getState(), this.stateStore.getDefaults());
+      const hash = await encodeStateHash(delta, STATE_SCHEMA_VERSION);
+      const { origin, pathname, search } = window.location;
+      this.copyTextToClipboard('Share link copied', `${origin}${pathname}${search}${hash}`);
+    } catch (error) {
+      console.error('Failed to create share link', error);
+      this.showToast('Could not create share link');
+    }
+  }
+
+  // Apply settings from a share link (#v=…&z=…) on top of the defaults.
+  // Called before the scene initializes so the first frame already matches.
+  async loadSharedState() {
+    let shared = null;
+    try {
+      shared = await decodeStateHash(window.location.hash);
+    } catch (error) {
+      console.error('Failed to read share link', error);
+      this.showToast('Share link is damaged and was ignored');
+      return false;
+    }
+    if (!shared) return false;
+    // The link has been consumed; from here on the state persists as usual
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+    if (!Number.isInteger(shared.version) || shared.version > STATE_SCHEMA_VERSION) {
+      this.showToast('Share link was made with a newer version of Orby');
+      return false;
+    }
+    let patch;
+    let errors;
+    try {
+      const migrated = this.stateStore.migrate(shared.delta, shared.version);
+      ({ patch, errors } = validateStatePatch(migrated, this.stateStore.getDefaults()));
+    } catch (error) {
+      console.error('Failed to migrate share link', error);
+      this.showToast('Share link could not be read');
+      return false;
+    }
+
+    this.stateStore.withoutHistory(() => {
+      this.stateStore.reset();
+      this.stateStore.merge(patch);
+    });
+    if (errors.length) {
+      console.warn('Share link settings rejected', errors);
+      this.showToast(
+        `Shared settings applied; ignored ${errors.length} invalid (${errors[0]}${
+          errors.length > 1 ? ', …' : ''
+        })`,
+      );
+    } else {
+      this.showToast('Shared settings applied');
+    }
+    return true;
   }
 
   bindDragAndDrop() {
     const emitFile = (file) => {
       if (!file) return;
+      // Equirect images become session HDRI presets instead of models
+      if (getHdriFileType(file.name)) {
+        this.eventBus.emit('studio:hdri-file', file);
+        return;
+      }
       this.eventBus.emit('file:selected', file);
     };
     ['dragenter', 'dragover'].forEach((event) => {
@@ -321,6 +653,25 @@ export class UIManager {
   }
 
   bindMeshControls() {
+    this.dom.pickInfoClose?.addEventListener('click', () => {
+      this.eventBus.emit('mesh:select', null);
+    });
+    this.dom.outlinerShowAll?.addEventListener('click', () => {
+      this.eventBus.emit('outliner:show-all');
+    });
+    this.dom.qualityAnalyze?.addEventListener('click', () => {
+      this.eventBus.emit(this.qualityRunning ? 'quality:cancel' : 'quality:analyze');
+    });
+    this.dom.qualityExport?.addEventListener('click', () => {
+      this.eventBus.emit('quality:export');
+    });
+    this.dom.qualityList?.querySelectorAll('[data-quality-check]').forEach((row) => {
+      const { qualityCheck: check } = row.dataset;
+      row.querySelector('.quality-swatch')?.style.setProperty('--swatch', QUALITY_CHECK_COLORS[check]);
+      row.querySelector('[data-quality-overlay]')?.addEventListener('change', (event) => {
+        this.eventBus.emit('quality:overlay', { check, visible: event.target.checked });
+      });
+    });
     this.inputs.shading.forEach((input) => {
       input.addEventListener('change', () => {
         if (input.checked) {
@@ -403,6 +754,12 @@ export class UIManager {
       this.stateStore.set('showNormals', enabled);
       this.eventBus.emit('mesh:normals', enabled);
     });
+    this.inputs.pointSize?.addEventListener('input', (event) => {
+      const value = parseFloat(event.target.value);
+      this.updateValueLabel('pointSize', value, 'pixels');
+      this.stateStore.set('pointSize', value);
+      this.eventBus.emit('mesh:point-size', value);
+    });
     // Fresnel (moved from bindRenderControls since it's now in Object tab)
     const emitFresnel = () =>
       this.eventBus.emit('render:fresnel', this.stateStore.getState().fresnel);
@@ -436,13 +793,14 @@ export class UIManager {
   }
 
   bindStudioControls() {
-    this.inputs.hdriButtons.forEach((button) => {
-      button.addEventListener('click', () => {
-        const preset = button.dataset.hdri;
-        this.setHdriActive(preset);
-        this.stateStore.set('hdri', preset);
-        this.eventBus.emit('studio:hdri', preset);
-      });
+    this.inputs.hdriButtons.forEach((button) => this.bindHdriButton(button));
+    this.inputs.hdriImport?.addEventListener('click', () => this.inputs.hdriFile?.click());
+    this.inputs.hdriFile?.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (file) {
+        this.eventBus.emit('studio:hdri-file', file);
+      }
     });
     this.inputs.hdriEnabled.addEventListener('change', (event) => {
       const enabled = event.target.checked;
@@ -479,6 +837,16 @@ export class UIManager {
       this.eventBus.emit('studio:hdri-background', enabled);
       this.inputs.backgroundColor.disabled = enabled;
     });
+    Object.entries(STUDIO_ENVIRONMENT_CONTROLS).forEach(([id, { key, format }]) => {
+      this.inputs[id]?.addEventListener('input', (event) => {
+        const value = format === 'color' ? event.target.value : parseFloat(event.target.value) || 0;
+        if (format !== 'color') {
+          this.updateValueLabel(id, value, format);
+        }
+        this.stateStore.set(`studioEnvironment.${key}`, value);
+        this.eventBus.emit('studio:environment-drag', this.stateStore.getState().studioEnvironment);
+      });
+    });
     this.inputs.lensFlareEnabled?.addEventListener('change', (event) => {
       const enabled = event.target.checked;
       this.stateStore.set('lensFlare.enabled', enabled);
@@ -571,6 +939,12 @@ export class UIManager {
       this.stateStore.set('showLightIndicators', enabled);
       this.eventBus.emit('lights:show-indicators', enabled);
     });
+    this.inputs.lightsAlignToHdri?.addEventListener('change', (event) => {
+      const enabled = event.target.checked;
+      this.stateStore.set('lightsAlignToHdri', enabled);
+      this.eventBus.emit('lights:align-hdri', enabled);
+      this.updateLensFlareControlsDisabled();
+    });
 
     this.inputs.lightsMaster?.addEventListener('input', (event) => {
       const value = parseFloat(event.target.value) || 0;
@@ -799,8 +1173,98 @@ export class UIManager {
       this.eventBus.emit('render:tone-mapping', value);
     });
 
+    this.inputs.imageSize?.addEventListener('change', (event) => {
+      this.dom.imageCustomSize.hidden = event.target.value !== 'custom';
+    });
+    this.inputs.imageFormat?.addEventListener('change', (event) => {
+      const format = event.target.value;
+      this.dom.imageQualityControl.hidden = format === 'png';
+      // JPEG has no alpha channel
+      this.inputs.imageTransparent.disabled = format === 'jpeg';
+    });
+    this.inputs.imageQuality?.addEventListener('input', (event) => {
+      this.updateValueLabel('imageQuality', `${event.target.value}%`);
+    });
     this.buttons.export.addEventListener('click', () => {
-      this.eventBus.emit('export:png');
+      const size = this.inputs.imageSize.value;
+      let dimensions;
+      if (size === '2x') {
+        dimensions = { scale: 2 };
+      } else if (size === 'custom') {
+        dimensions = {
+          width: parseInt(this.inputs.imageWidth.value, 10),
+          height: parseInt(this.inputs.imageHeight.value, 10),
+        };
+      } else {
+        const [width, height] = size.split('x').map(Number);
+        dimensions = { width, height };
+      }
+      const format = this.inputs.imageFormat.value;
+      this.eventBus.emit('export:image', {
+        ...dimensions,
+        format,
+        quality: parseInt(this.inputs.imageQuality.value, 10) / 100,
+        transparent: format !== 'jpeg' && this.inputs.imageTransparent.checked,
+      });
+    });
+    this.inputs.modelExportFormat?.addEventListener('change', (event) => {
+      // Static formats always bake and can't carry animations
+      const isGlb = event.target.value === 'glb';
+      this.inputs.modelExportBake.disabled = !isGlb;
+      this.inputs.modelExportAnimations.disabled = !isGlb;
+    });
+    this.buttons.exportModel?.addEventListener('click', () => {
+      this.eventBus.emit('export:model', {
+        format: this.inputs.modelExportFormat.value,
+        materials: this.inputs.modelExportMaterials.value,
+        bakeTransforms: this.inputs.modelExportBake.checked,
+        keepAnimations: this.inputs.modelExportAnimations.checked,
+      });
+    });
+    this.buttons.exportContactSheet?.addEventListener('click', () => {
+      const presets = Array.from(
+        this.dom.contactSheetViews.querySelectorAll('input:checked'),
+        (input) => input.value,
+      );
+      if (!presets.length) {
+        this.showToast('Pick at least one view');
+        return;
+      }
+      const cellSize = parseInt(this.inputs.contactSheetCell.value, 10) || 800;
+      this.eventBus.emit('export:contact-sheet', {
+        presets,
+        columns: parseInt(this.inputs.contactSheetColumns.value, 10) || 3,
+        cellWidth: cellSize,
+        cellHeight: cellSize,
+        labels: this.inputs.contactSheetLabels.checked,
+      });
+    });
+    this.inputs.turntableDuration?.addEventListener('input', (event) => {
+      this.updateValueLabel('turntableDuration', `${event.target.value}s`);
+    });
+    this.buttons.exportTurntable?.addEventListener('click', () => {
+      const [width, height] = this.inputs.turntableResolution.value.split('x').map(Number);
+      this.eventBus.emit('export:turntable', {
+        duration: parseFloat(this.inputs.turntableDuration.value) || 6,
+        fps: parseInt(this.inputs.turntableFps.value, 10) || 30,
+        width,
+        height,
+        axis: this.inputs.turntableAxis.value,
+      });
+    });
+    // Same duration, rate and size as the video; the seed fixes the film grain
+    this.buttons.exportFrames?.addEventListener('click', () => {
+      const [width, height] = this.inputs.turntableResolution.value.split('x').map(Number);
+      this.eventBus.emit('export:frames', {
+        duration: parseFloat(this.inputs.turntableDuration.value) || 6,
+        fps: parseInt(this.inputs.turntableFps.value, 10) || 30,
+        width,
+        height,
+        seed: parseInt(this.inputs.frameSeed.value, 10) || 0,
+      });
+    });
+    this.buttons.exportCancel?.addEventListener('click', () => {
+      this.eventBus.emit('export:cancel');
     });
   }
 
@@ -844,11 +1308,29 @@ export class UIManager {
   }
 
   bindKeyboardShortcuts(hasHelpOverlay, hideHelp) {
-    const HDRI_PRESETS = ['noir-studio', 'luminous-sky', 'sunset-cove', 'steel-lab', 'cyberpunk'];
-
     document.addEventListener('keydown', (event) => {
-      // Don't trigger shortcuts when typing in inputs
       const target = event.target;
+      // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y step through settings history.
+      // Text fields keep their native undo; sliders, toggles and pickers don't have one.
+      const isTextEntry =
+        target.tagName === 'TEXTAREA' ||
+        target.isContentEditable ||
+        (target.tagName === 'INPUT' &&
+          !['range', 'checkbox', 'radio', 'color', 'button'].includes(target.type));
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && !isTextEntry) {
+        const historyKey = event.key.toLowerCase();
+        if (historyKey === 'z' || historyKey === 'y') {
+          event.preventDefault();
+          if (historyKey === 'y' || event.shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+          return;
+        }
+      }
+
+      // Don't trigger shortcuts when typing in inputs
       if (
         target.tagName === 'INPUT' ||
         target.tagName === 'TEXTAREA' ||
@@ -897,6 +1379,19 @@ export class UIManager {
         }
       }
 
+      // Channel inspection: Shift+1..7, by physical key so any layout works
+      const digit = event.code?.startsWith('Digit') ? Number(event.code.slice(5)) : 0;
+      if (isShift && !isCtrl && !event.altKey && CHANNEL_SHADINGS[digit - 1]) {
+        event.preventDefault();
+        const mode = CHANNEL_SHADINGS[digit - 1];
+        const radio = document.querySelector(`input[name="shading"][value="${mode}"]`);
+        if (radio && !radio.disabled) {
+          this.stateStore.set('shading', mode);
+          this.eventBus.emit('mesh:shading', mode);
+          radio.checked = true;
+        }
+      }
+
       // Space - Play/Pause animation
       if (key === ' ') {
         event.preventDefault();
@@ -982,6 +1477,9 @@ export class UIManager {
         ) {
           event.preventDefault();
           hideHelp();
+        } else if (this.dom.pickInfo && !this.dom.pickInfo.hidden) {
+          event.preventDefault();
+          this.eventBus.emit('mesh:select', null);
         }
       }
 
@@ -1011,11 +1509,13 @@ export class UIManager {
       // 0 - Reset transform (scale + Y offset + rotations)
       if (key === '0') {
         event.preventDefault();
-        this.stateStore.set('scale', 1);
-        this.stateStore.set('yOffset', 0);
-        this.stateStore.set('rotationX', 0);
-        this.stateStore.set('rotationY', 0);
-        this.stateStore.set('rotationZ', 0);
+        this.stateStore.transact(() => {
+          this.stateStore.set('scale', 1);
+          this.stateStore.set('yOffset', 0);
+          this.stateStore.set('rotationX', 0);
+          this.stateStore.set('rotationY', 0);
+          this.stateStore.set('rotationZ', 0);
+        }, 'reset-transform');
         this.eventBus.emit('mesh:scale', 1);
         this.eventBus.emit('mesh:yOffset', 0);
         this.eventBus.emit('mesh:rotationX', 0);
@@ -1083,21 +1583,23 @@ export class UIManager {
       // X - Apply preset: HDRI background on, lights off, chroma/grain off, exposure bump, AA on
       if (key === 'x') {
         event.preventDefault();
-        this.applyStudioPresetX();
+        this.stateStore.transact(() => this.applyStudioPresetX(), 'preset-x');
       }
 
       // [ / ] - Cycle through HDRI presets
       if (key === '[' || key === ']') {
         event.preventDefault();
+        // Follow the grid order so dropped-in HDRIs are part of the cycle
+        const hdriPresets = Array.from(this.inputs.hdriButtons, (button) => button.dataset.hdri);
         const state = this.stateStore.getState();
-        const currentPreset = state.hdri || 'noir-studio';
-        let currentIndex = HDRI_PRESETS.indexOf(currentPreset);
+        const currentPreset = state.hdri || hdriPresets[0];
+        let currentIndex = hdriPresets.indexOf(currentPreset);
         if (currentIndex === -1) {
           currentIndex = 0; // Fallback to first preset
         }
         const direction = key === '[' ? -1 : 1;
-        const nextIndex = (currentIndex + direction + HDRI_PRESETS.length) % HDRI_PRESETS.length;
-        const nextPreset = HDRI_PRESETS[nextIndex];
+        const nextIndex = (currentIndex + direction + hdriPresets.length) % hdriPresets.length;
+        const nextPreset = hdriPresets[nextIndex];
         this.stateStore.set('hdri', nextPreset);
         this.eventBus.emit('studio:hdri', nextPreset);
         // Update active button
@@ -1190,6 +1692,7 @@ export class UIManager {
         transform: { scale: state.scale, yOffset: state.yOffset },
         autoRotate: state.autoRotate,
         showNormals: state.showNormals,
+        pointSize: state.pointSize,
       };
       this.copySettingsToClipboard('Mesh settings copied', payload);
     };
@@ -1213,6 +1716,7 @@ export class UIManager {
         lightsMaster: state.lightsMaster,
         lightsRotation: state.lightsRotation,
         lightsAutoRotate: state.lightsAutoRotate,
+        lightsAlignToHdri: state.lightsAlignToHdri,
       };
       this.copySettingsToClipboard('Studio settings copied', payload);
     };
@@ -1241,6 +1745,7 @@ export class UIManager {
       this.stateStore.set('yOffset', defaults.yOffset);
       this.stateStore.set('autoRotate', defaults.autoRotate);
       this.stateStore.set('showNormals', defaults.showNormals);
+      this.stateStore.set('pointSize', defaults.pointSize);
       this.stateStore.set('clay', defaults.clay);
       
       // Emit events to update scene
@@ -1249,6 +1754,7 @@ export class UIManager {
       this.eventBus.emit('mesh:yOffset', defaults.yOffset);
       this.eventBus.emit('mesh:auto-rotate', defaults.autoRotate);
       this.eventBus.emit('mesh:normals', defaults.showNormals);
+      this.eventBus.emit('mesh:point-size', defaults.pointSize);
       this.eventBus.emit('mesh:clay-color', defaults.clay.color);
       this.eventBus.emit('mesh:clay-roughness', defaults.clay.roughness);
       this.eventBus.emit('mesh:clay-specular', defaults.clay.specular);
@@ -1275,9 +1781,12 @@ export class UIManager {
       this.stateStore.set('lightsMaster', defaults.lightsMaster);
       this.stateStore.set('lightsRotation', defaults.lightsRotation);
       this.stateStore.set('lightsAutoRotate', defaults.lightsAutoRotate);
+      this.stateStore.set('lightsAlignToHdri', defaults.lightsAlignToHdri);
       this.stateStore.set('lensFlare', defaults.lensFlare);
+      this.stateStore.set('studioEnvironment', defaults.studioEnvironment);
       
       // Emit events to update scene
+      this.eventBus.emit('studio:environment', defaults.studioEnvironment);
       this.setHdriActive(defaults.hdri);
       this.eventBus.emit('studio:hdri', defaults.hdri);
       this.eventBus.emit('studio:hdri-enabled', defaults.hdriEnabled);
@@ -1321,6 +1830,7 @@ export class UIManager {
       this.eventBus.emit('lights:rotate', defaults.lightsRotation);
       this.eventBus.emit('lights:auto-rotate', defaults.lightsAutoRotate);
       this.setLightsRotationDisabled(defaults.lightsAutoRotate);
+      this.eventBus.emit('lights:align-hdri', defaults.lightsAlignToHdri);
       this.eventBus.emit('studio:lens-flare-enabled', defaults.lensFlare.enabled);
       this.eventBus.emit('studio:lens-flare-rotation', defaults.lensFlare.rotation);
       
@@ -1372,241 +1882,258 @@ export class UIManager {
       this.showToast('FX settings reset');
     };
 
-    this.buttons.resetMesh?.addEventListener('click', resetMesh);
-    this.buttons.resetStudio?.addEventListener('click', resetStudio);
-    this.buttons.resetRender?.addEventListener('click', resetRender);
+    this.buttons.resetMesh?.addEventListener('click', () =>
+      this.stateStore.transact(resetMesh, 'reset-mesh'),
+    );
+    this.buttons.resetStudio?.addEventListener('click', () =>
+      this.stateStore.transact(resetStudio, 'reset-studio'),
+    );
+    this.buttons.resetRender?.addEventListener('click', () =>
+      this.stateStore.transact(resetRender, 'reset-render'),
+    );
   }
 
   bindLocalResetButtons() {
-    const defaults = this.stateStore.getDefaults();
-    
     document.querySelectorAll('[data-reset]').forEach((button) => {
       button.addEventListener('click', () => {
         const resetType = button.dataset.reset;
-        
-        switch (resetType) {
-          case 'clay':
-            this.stateStore.set('clay', defaults.clay);
-            this.eventBus.emit('mesh:clay-color', defaults.clay.color);
-            this.eventBus.emit('mesh:clay-roughness', defaults.clay.roughness);
-            this.eventBus.emit('mesh:clay-specular', defaults.clay.specular);
-            this.syncUIFromState();
-            break;
-            
-          case 'wireframe':
-            this.stateStore.set('wireframe', defaults.wireframe);
-            // Explicitly update UI controls first to ensure they reflect the reset
-            if (this.inputs.wireframeColor) {
-              this.inputs.wireframeColor.value = defaults.wireframe.color;
-            }
-            if (this.inputs.wireframeAlwaysOn) {
-              this.inputs.wireframeAlwaysOn.checked = defaults.wireframe.alwaysOn;
-            }
-            if (this.inputs.wireframeOnlyVisibleFaces) {
-              this.inputs.wireframeOnlyVisibleFaces.checked = defaults.wireframe.onlyVisibleFaces;
-            }
-            // Then emit events to update the scene
-            this.eventBus.emit('mesh:wireframe-always-on', defaults.wireframe.alwaysOn);
-            this.eventBus.emit('mesh:wireframe-color', defaults.wireframe.color);
-            this.eventBus.emit('mesh:wireframe-only-visible-faces', defaults.wireframe.onlyVisibleFaces);
-            this.syncUIFromState();
-            break;
-            
-          case 'hdri':
-            this.stateStore.set('hdri', defaults.hdri);
-            this.stateStore.set('hdriStrength', defaults.hdriStrength);
-            this.stateStore.set('hdriBlurriness', defaults.hdriBlurriness);
-            this.stateStore.set('hdriRotation', defaults.hdriRotation);
-            this.stateStore.set('hdriBackground', defaults.hdriBackground);
-            this.stateStore.set('lensFlare', defaults.lensFlare);
-            this.setHdriActive(defaults.hdri);
-            this.eventBus.emit('studio:hdri', defaults.hdri);
-            const normalizedStrength = defaults.hdriStrength / HDRI_STRENGTH_UNIT;
-            this.eventBus.emit('studio:hdri-strength', defaults.hdriStrength);
-            this.eventBus.emit('studio:hdri-blurriness', defaults.hdriBlurriness);
-            this.eventBus.emit('studio:hdri-rotation', defaults.hdriRotation);
-            this.eventBus.emit('studio:hdri-background', defaults.hdriBackground);
-            this.eventBus.emit('studio:lens-flare-enabled', defaults.lensFlare.enabled);
-            this.eventBus.emit('studio:lens-flare-rotation', defaults.lensFlare.rotation);
-            this.eventBus.emit('studio:lens-flare-height', defaults.lensFlare.height);
-            this.eventBus.emit('studio:lens-flare-color', defaults.lensFlare.color);
-            if (this.inputs.backgroundColor) {
-              this.inputs.backgroundColor.disabled = defaults.hdriBackground;
-            }
-            this.syncUIFromState();
-            break;
-          
-          case 'lens-flare':
-            this.stateStore.set('lensFlare', defaults.lensFlare);
-            this.eventBus.emit('studio:lens-flare-enabled', defaults.lensFlare.enabled);
-            this.eventBus.emit('studio:lens-flare-rotation', defaults.lensFlare.rotation);
-            this.eventBus.emit('studio:lens-flare-height', defaults.lensFlare.height);
-            this.eventBus.emit('studio:lens-flare-color', defaults.lensFlare.color);
-            this.eventBus.emit('studio:lens-flare-quality', defaults.lensFlare.quality);
-            this.syncUIFromState();
-            break;
-            
-          case 'lights':
-            this.stateStore.set('lights', defaults.lights);
-            this.stateStore.set('lightsMaster', defaults.lightsMaster);
-            Object.keys(defaults.lights).forEach((lightId) => {
-              const light = defaults.lights[lightId];
-              this.eventBus.emit('lights:update', {
-                lightId,
-                property: 'color',
-                value: light.color,
-              });
-              this.eventBus.emit('lights:update', {
-                lightId,
-                property: 'intensity',
-                value: light.intensity,
-              });
-            });
-            this.eventBus.emit('lights:master', defaults.lightsMaster);
-            this.syncUIFromState();
-            break;
-            
-          case 'podium':
-            // Reset only color, position, and scale - NOT the on/off toggle
-            this.stateStore.set('groundSolidColor', defaults.groundSolidColor);
-            this.stateStore.set('groundY', defaults.groundY);
-            this.stateStore.set('podiumScale', defaults.podiumScale);
-            this.eventBus.emit('studio:ground-solid-color', defaults.groundSolidColor);
-            this.eventBus.emit('studio:ground-y', defaults.groundY);
-            this.eventBus.emit('studio:podium-scale', defaults.podiumScale);
-            this.syncControls(this.stateStore.getState());
-            break;
-            
-          case 'background':
-            this.stateStore.set('background', defaults.background);
-            this.eventBus.emit('scene:background', defaults.background);
-            this.syncUIFromState();
-            break;
-            
-          case 'grid':
-            this.stateStore.set('groundWireColor', defaults.groundWireColor);
-            this.stateStore.set('groundWireOpacity', defaults.groundWireOpacity);
-            this.stateStore.set('gridScale', defaults.gridScale);
-            this.eventBus.emit('studio:ground-wire-color', defaults.groundWireColor);
-            this.eventBus.emit('studio:ground-wire-opacity', defaults.groundWireOpacity);
-            this.eventBus.emit('studio:grid-scale', defaults.gridScale);
-            this.syncControls(this.stateStore.getState());
-            break;
-            
-          case 'dof':
-            this.stateStore.set('dof', defaults.dof);
-            this.eventBus.emit('render:dof', defaults.dof);
-            this.setEffectControlsDisabled(
-              ['dofFocus', 'dofAperture', 'dofStrength'],
-              !defaults.dof.enabled,
-            );
-            this.syncUIFromState();
-            break;
-            
-          case 'bloom':
-            this.stateStore.set('bloom', defaults.bloom);
-            this.eventBus.emit('render:bloom', defaults.bloom);
-            this.setEffectControlsDisabled(
-              ['bloomThreshold', 'bloomStrength', 'bloomRadius', 'bloomColor'],
-              !defaults.bloom.enabled,
-            );
-            this.syncUIFromState();
-            break;
-
-          case 'lens-dirt':
-            this.stateStore.set('lensDirt', defaults.lensDirt);
-            this.eventBus.emit('render:lens-dirt', defaults.lensDirt);
-            this.setEffectControlsDisabled(
-              ['lensDirtStrength'],
-              !defaults.lensDirt.enabled,
-            );
-            this.syncControls(this.stateStore.getState());
-            break;
-            
-          case 'grain':
-            this.stateStore.set('grain', defaults.grain);
-            this.eventBus.emit('render:grain', defaults.grain);
-            this.setEffectControlsDisabled(['grainIntensity'], !defaults.grain.enabled);
-            this.syncUIFromState();
-            break;
-            
-          case 'aberration':
-            this.stateStore.set('aberration', defaults.aberration);
-            this.eventBus.emit('render:aberration', defaults.aberration);
-            this.setEffectControlsDisabled(
-              ['aberrationOffset', 'aberrationStrength'],
-              !defaults.aberration.enabled,
-            );
-            this.syncUIFromState();
-            break;
-            
-          case 'fresnel':
-            this.stateStore.set('fresnel', defaults.fresnel);
-            this.eventBus.emit('render:fresnel', defaults.fresnel);
-            this.setEffectControlsDisabled(
-              ['fresnelColor', 'fresnelRadius', 'fresnelStrength'],
-              !defaults.fresnel.enabled,
-            );
-            this.syncUIFromState();
-            break;
-            
-            
-          case 'camera':
-            // Reset all camera & color settings
-            this.stateStore.set('camera', { ...defaults.camera });
-            this.stateStore.set('exposure', defaults.exposure);
-            this.stateStore.set('autoExposure', defaults.autoExposure ?? false);
-            // Also reset antiAliasing and toneMapping (in Quality block, but reset together)
-            this.stateStore.set('antiAliasing', defaults.antiAliasing);
-            this.stateStore.set('toneMapping', defaults.toneMapping);
-            // Emit all events to update the scene
-            this.eventBus.emit('camera:fov', defaults.camera.fov);
-            this.eventBus.emit('camera:tilt', defaults.camera.tilt ?? 0);
-            this.eventBus.emit('scene:exposure', defaults.exposure);
-            this.eventBus.emit('camera:auto-exposure', defaults.autoExposure ?? false);
-            this.eventBus.emit('render:contrast', defaults.camera.contrast);
-            this.eventBus.emit(
-              'render:temperature',
-              defaults.camera.temperature ?? CAMERA_TEMPERATURE_NEUTRAL_K,
-            );
-            this.eventBus.emit(
-              'render:tint',
-              (defaults.camera.tint ?? 0) / 100,
-            );
-            this.eventBus.emit(
-              'render:highlights',
-              (defaults.camera.highlights ?? 0) / 100,
-            );
-            this.eventBus.emit(
-              'render:shadows',
-              (defaults.camera.shadows ?? 0) / 100,
-            );
-            this.eventBus.emit('render:saturation', defaults.camera.saturation);
-            this.eventBus.emit('render:anti-aliasing', defaults.antiAliasing);
-            this.eventBus.emit('render:tone-mapping', defaults.toneMapping);
-            // Sync UI to reflect the reset values
-            this.syncControls(this.stateStore.getState());
-            break;
-            
-          case 'transform':
-            this.stateStore.set('scale', defaults.scale);
-            this.stateStore.set('yOffset', defaults.yOffset);
-            this.stateStore.set('rotationX', defaults.rotationX);
-            this.stateStore.set('rotationY', defaults.rotationY);
-            this.stateStore.set('rotationZ', defaults.rotationZ);
-            this.eventBus.emit('mesh:scale', defaults.scale);
-            this.eventBus.emit('mesh:yOffset', defaults.yOffset);
-            this.eventBus.emit('mesh:rotationX', defaults.rotationX);
-            this.eventBus.emit('mesh:rotationY', defaults.rotationY);
-            this.eventBus.emit('mesh:rotationZ', defaults.rotationZ);
-            this.eventBus.emit('mesh:reset-transform');
-            this.syncUIFromState();
-            break;
-        }
+        // One undo step per block reset; transact closes it even if a handler throws
+        this.stateStore.transact(() => this.resetBlock(resetType), `reset-${resetType}`);
       });
     });
   }
 
+  // Put one panel block back to its defaults, in state, scene and inputs
+  resetBlock(resetType) {
+    const defaults = this.stateStore.getDefaults();
+
+    switch (resetType) {
+      case 'clay':
+        this.stateStore.set('clay', defaults.clay);
+        this.eventBus.emit('mesh:clay-color', defaults.clay.color);
+        this.eventBus.emit('mesh:clay-roughness', defaults.clay.roughness);
+        this.eventBus.emit('mesh:clay-specular', defaults.clay.specular);
+        this.syncUIFromState();
+        break;
+
+      case 'wireframe':
+        this.stateStore.set('wireframe', defaults.wireframe);
+        // Explicitly update UI controls first to ensure they reflect the reset
+        if (this.inputs.wireframeColor) {
+          this.inputs.wireframeColor.value = defaults.wireframe.color;
+        }
+        if (this.inputs.wireframeAlwaysOn) {
+          this.inputs.wireframeAlwaysOn.checked = defaults.wireframe.alwaysOn;
+        }
+        if (this.inputs.wireframeOnlyVisibleFaces) {
+          this.inputs.wireframeOnlyVisibleFaces.checked = defaults.wireframe.onlyVisibleFaces;
+        }
+        // Then emit events to update the scene
+        this.eventBus.emit('mesh:wireframe-always-on', defaults.wireframe.alwaysOn);
+        this.eventBus.emit('mesh:wireframe-color', defaults.wireframe.color);
+        this.eventBus.emit('mesh:wireframe-only-visible-faces', defaults.wireframe.onlyVisibleFaces);
+        this.syncUIFromState();
+        break;
+
+      case 'hdri':
+        this.stateStore.set('hdri', defaults.hdri);
+        this.stateStore.set('hdriStrength', defaults.hdriStrength);
+        this.stateStore.set('hdriBlurriness', defaults.hdriBlurriness);
+        this.stateStore.set('hdriRotation', defaults.hdriRotation);
+        this.stateStore.set('hdriBackground', defaults.hdriBackground);
+        this.stateStore.set('lensFlare', defaults.lensFlare);
+        this.setHdriActive(defaults.hdri);
+        this.eventBus.emit('studio:hdri', defaults.hdri);
+        const normalizedStrength = defaults.hdriStrength / HDRI_STRENGTH_UNIT;
+        this.eventBus.emit('studio:hdri-strength', defaults.hdriStrength);
+        this.eventBus.emit('studio:hdri-blurriness', defaults.hdriBlurriness);
+        this.eventBus.emit('studio:hdri-rotation', defaults.hdriRotation);
+        this.eventBus.emit('studio:hdri-background', defaults.hdriBackground);
+        this.eventBus.emit('studio:lens-flare-enabled', defaults.lensFlare.enabled);
+        this.eventBus.emit('studio:lens-flare-rotation', defaults.lensFlare.rotation);
+        this.eventBus.emit('studio:lens-flare-height', defaults.lensFlare.height);
+        this.eventBus.emit('studio:lens-flare-color', defaults.lensFlare.color);
+        if (this.inputs.backgroundColor) {
+          this.inputs.backgroundColor.disabled = defaults.hdriBackground;
+        }
+        this.syncUIFromState();
+        break;
+
+      case 'studio-environment':
+        this.stateStore.set('studioEnvironment', defaults.studioEnvironment);
+        this.eventBus.emit('studio:environment', defaults.studioEnvironment);
+        this.syncUIFromState();
+        break;
+
+      case 'lens-flare':
+        this.stateStore.set('lensFlare', defaults.lensFlare);
+        this.eventBus.emit('studio:lens-flare-enabled', defaults.lensFlare.enabled);
+        this.eventBus.emit('studio:lens-flare-rotation', defaults.lensFlare.rotation);
+        this.eventBus.emit('studio:lens-flare-height', defaults.lensFlare.height);
+        this.eventBus.emit('studio:lens-flare-color', defaults.lensFlare.color);
+        this.eventBus.emit('studio:lens-flare-quality', defaults.lensFlare.quality);
+        this.syncUIFromState();
+        break;
+
+      case 'lights':
+        this.stateStore.set('lights', defaults.lights);
+        this.stateStore.set('lightsMaster', defaults.lightsMaster);
+        Object.keys(defaults.lights).forEach((lightId) => {
+          const light = defaults.lights[lightId];
+          this.eventBus.emit('lights:update', {
+            lightId,
+            property: 'color',
+            value: light.color,
+          });
+          this.eventBus.emit('lights:update', {
+            lightId,
+            property: 'intensity',
+            value: light.intensity,
+          });
+        });
+        this.eventBus.emit('lights:master', defaults.lightsMaster);
+        this.syncUIFromState();
+        break;
+
+      case 'podium':
+        // Reset only color, position, and scale - NOT the on/off toggle
+        this.stateStore.set('groundSolidColor', defaults.groundSolidColor);
+        this.stateStore.set('groundY', defaults.groundY);
+        this.stateStore.set('podiumScale', defaults.podiumScale);
+        this.eventBus.emit('studio:ground-solid-color', defaults.groundSolidColor);
+        this.eventBus.emit('studio:ground-y', defaults.groundY);
+        this.eventBus.emit('studio:podium-scale', defaults.podiumScale);
+        this.syncControls(this.stateStore.getState());
+        break;
+
+      case 'background':
+        this.stateStore.set('background', defaults.background);
+        this.eventBus.emit('scene:background', defaults.background);
+        this.syncUIFromState();
+        break;
+
+      case 'grid':
+        this.stateStore.set('groundWireColor', defaults.groundWireColor);
+        this.stateStore.set('groundWireOpacity', defaults.groundWireOpacity);
+        this.stateStore.set('gridScale', defaults.gridScale);
+        this.eventBus.emit('studio:ground-wire-color', defaults.groundWireColor);
+        this.eventBus.emit('studio:ground-wire-opacity', defaults.groundWireOpacity);
+        this.eventBus.emit('studio:grid-scale', defaults.gridScale);
+        this.syncControls(this.stateStore.getState());
+        break;
+
+      case 'dof':
+        this.stateStore.set('dof', defaults.dof);
+        this.eventBus.emit('render:dof', defaults.dof);
+        this.setEffectControlsDisabled(
+          ['dofFocus', 'dofAperture', 'dofStrength'],
+          !defaults.dof.enabled,
+        );
+        this.syncUIFromState();
+        break;
+
+      case 'bloom':
+        this.stateStore.set('bloom', defaults.bloom);
+        this.eventBus.emit('render:bloom', defaults.bloom);
+        this.setEffectControlsDisabled(
+          ['bloomThreshold', 'bloomStrength', 'bloomRadius', 'bloomColor'],
+          !defaults.bloom.enabled,
+        );
+        this.syncUIFromState();
+        break;
+
+      case 'lens-dirt':
+        this.stateStore.set('lensDirt', defaults.lensDirt);
+        this.eventBus.emit('render:lens-dirt', defaults.lensDirt);
+        this.setEffectControlsDisabled(
+          ['lensDirtStrength'],
+          !defaults.lensDirt.enabled,
+        );
+        this.syncControls(this.stateStore.getState());
+        break;
+
+      case 'grain':
+        this.stateStore.set('grain', defaults.grain);
+        this.eventBus.emit('render:grain', defaults.grain);
+        this.setEffectControlsDisabled(['grainIntensity'], !defaults.grain.enabled);
+        this.syncUIFromState();
+        break;
+
+      case 'aberration':
+        this.stateStore.set('aberration', defaults.aberration);
+        this.eventBus.emit('render:aberration', defaults.aberration);
+        this.setEffectControlsDisabled(
+          ['aberrationOffset', 'aberrationStrength'],
+          !defaults.aberration.enabled,
+        );
+        this.syncUIFromState();
+        break;
+
+      case 'fresnel':
+        this.stateStore.set('fresnel', defaults.fresnel);
+        this.eventBus.emit('render:fresnel', defaults.fresnel);
+        this.setEffectControlsDisabled(
+          ['fresnelColor', 'fresnelRadius', 'fresnelStrength'],
+          !defaults.fresnel.enabled,
+        );
+        this.syncUIFromState();
+        break;
+
+
+      case 'camera':
+        // Reset all camera & color settings
+        this.stateStore.set('camera', { ...defaults.camera });
+        this.stateStore.set('exposure', defaults.exposure);
+        this.stateStore.set('autoExposure', defaults.autoExposure ?? false);
+        // Also reset antiAliasing and toneMapping (in Quality block, but reset together)
+        this.stateStore.set('antiAliasing', defaults.antiAliasing);
+        this.stateStore.set('toneMapping', defaults.toneMapping);
+        // Emit all events to update the scene
+        this.eventBus.emit('camera:fov', defaults.camera.fov);
+        this.eventBus.emit('camera:tilt', defaults.camera.tilt ?? 0);
+        this.eventBus.emit('scene:exposure', defaults.exposure);
+        this.eventBus.emit('camera:auto-exposure', defaults.autoExposure ?? false);
+        this.eventBus.emit('render:contrast', defaults.camera.contrast);
+        this.eventBus.emit(
+          'render:temperature',
+          defaults.camera.temperature ?? CAMERA_TEMPERATURE_NEUTRAL_K,
+        );
+        this.eventBus.emit(
+          'render:tint',
+          (defaults.camera.tint ?? 0) / 100,
+        );
+        this.eventBus.emit(
+          'render:highlights',
+          (defaults.camera.highlights ?? 0) / 100,
+        );
+        this.eventBus.emit(
+          'render:shadows',
+          (defaults.camera.shadows ?? 0) / 100,
+        );
+        this.eventBus.emit('render:saturation', defaults.camera.saturation);
+        this.eventBus.emit('render:anti-aliasing', defaults.antiAliasing);
+        this.eventBus.emit('render:tone-mapping', defaults.toneMapping);
+        // Sync UI to reflect the reset values
+        this.syncControls(this.stateStore.getState());
+        break;
+
+      case 'transform':
+        this.stateStore.set('scale', defaults.scale);
+        this.stateStore.set('yOffset', defaults.yOffset);
+        this.stateStore.set('rotationX', defaults.rotationX);
+        this.stateStore.set('rotationY', defaults.rotationY);
+        this.stateStore.set('rotationZ', defaults.rotationZ);
+        this.eventBus.emit('mesh:scale', defaults.scale);
+        this.eventBus.emit('mesh:yOffset', defaults.yOffset);
+        this.eventBus.emit('mesh:rotationX', defaults.rotationX);
+        this.eventBus.emit('mesh:rotationY', defaults.rotationY);
+        this.eventBus.emit('mesh:rotationZ', defaults.rotationZ);
+        this.eventBus.emit('mesh:reset-transform');
+        this.syncUIFromState();
+        break;
+    }
+  }
+
   bindRotationNotches() {
     if (!this.dom.rotationNotches) return;
     this.dom.rotationNotches.forEach((button) => {
@@ -1675,6 +2202,7 @@ export class UIManager {
       angle: { decimals: 0, unit: '°' },
       distance: { decimals: 2, unit: 'm' },
       multiplier: { decimals: 2, unit: '×' },
+      pixels: { decimals: 1, unit: 'px' },
       decimal: { decimals: 2, unit: '' },
       integer: { decimals: 0, unit: '' },
     };
@@ -1753,10 +2281,41 @@ export class UIManager {
     this.syncControls(state);
   }
 
+  bindHdriButton(button) {
+    button.addEventListener('click', () => {
+      const preset = button.dataset.hdri;
+      this.setHdriActive(preset);
+      this.stateStore.set('hdri', preset);
+      this.eventBus.emit('studio:hdri', preset);
+    });
+  }
+
+  addHdriPreset({ preset, name, thumbnail }) {
+    if (!this.inputs.hdriGrid) return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'hdri-card is-custom';
+    button.dataset.hdri = preset;
+    button.title = name;
+    button.textContent = name;
+    if (thumbnail) {
+      button.style.backgroundImage = `url("${thumbnail}")`;
+    }
+    button.disabled = !this.stateStore.getState().hdriEnabled;
+    button.classList.toggle('is-disabled', button.disabled);
+    this.inputs.hdriGrid.appendChild(button);
+    this.bindHdriButton(button);
+    this.inputs.hdriButtons = this.inputs.hdriGrid.querySelectorAll('[data-hdri]');
+  }
+
   setHdriActive(preset) {
     this.inputs.hdriButtons.forEach((button) => {
       button.classList.toggle('active', button.dataset.hdri === preset);
     });
+    // Studio lights only apply to the procedural studio preset
+    if (this.inputs.studioEnvironmentControls) {
+      this.inputs.studioEnvironmentControls.hidden = preset !== 'studio';
+    }
   }
 
 
@@ -1787,10 +2346,10 @@ export class UIManager {
     this.setControlDisabled('lensFlareEnabled', !hdriActive);
     
     // Disable lens flare controls if not enabled
-    this.setControlDisabled(
-      ['lensFlareRotation', 'lensFlareHeight', 'lensFlareColor', 'lensFlareQuality'],
-      !enabled,
-    );
+    this.setControlDisabled(['lensFlareColor', 'lensFlareQuality'], !enabled);
+    // The HDRI sun places the flare while the key light is aligned to it
+    const aligned = !!this.inputs.lightsAlignToHdri?.checked;
+    this.setControlDisabled(['lensFlareRotation', 'lensFlareHeight'], !enabled || aligned);
     
     // Block muting handled by applyBlockStates via syncControls
   }
@@ -1814,6 +2373,78 @@ export class UIManager {
     });
   }
 
+  // fraction in 0–1 while an export runs, null when it's done
+  setExportProgress(fraction) {
+    const running = fraction !== null && fraction !== undefined;
+    if (this.dom.exportProgress) {
+      this.dom.exportProgress.hidden = !running;
+    }
+    [
+      this.buttons.export,
+      this.buttons.exportContactSheet,
+      this.buttons.exportTurntable,
+      this.buttons.exportFrames,
+    ].forEach((button) => {
+      if (button) button.disabled = running;
+    });
+    if (!running) return;
+    if (this.dom.exportProgressBar) {
+      this.dom.exportProgressBar.value = fraction;
+    }
+    this.updateValueLabel('exportProgress', `${Math.round(fraction * 100)}%`);
+  }
+
+  /**
+   * Ask which of several models in a drop or archive to open
+   * @param {string[]} paths - Candidates, best guess first
+   * @returns {Promise<string|null>} The chosen path, or null when cancelled
+   */
+  chooseModel(paths) {
+    const { modelChooser, modelChooserList, modelChooserCancel } = this.dom;
+    if (!modelChooser) return Promise.resolve(paths[0] ?? null);
+    return new Promise((resolve) => {
+      const finish = (choice) => {
+        modelChooser.hidden = true;
+        modelChooserList.replaceChildren();
+        modelChooserCancel.removeEventListener('click', onCancel);
+        modelChooser.removeEventListener('click', onBackdrop);
+        window.removeEventListener('keydown', onKeydown, true);
+        resolve(choice);
+      };
+      const onCancel = () => finish(null);
+      const onBackdrop = (event) => {
+        if (event.target === modelChooser) finish(null);
+      };
+      const onKeydown = (event) => {
+        if (event.key !== 'Escape') return;
+        // Keep the global shortcuts from seeing this Escape
+        event.stopPropagation();
+        finish(null);
+      };
+
+      modelChooserList.replaceChildren(
+        ...paths.map((path) => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'ghost-btn';
+          button.textContent = path;
+          button.addEventListener('click', () => finish(path));
+          return button;
+        }),
+      );
+      modelChooserCancel.addEventListener('click', onCancel);
+      modelChooser.addEventListener('click', onBackdrop);
+      window.addEventListener('keydown', onKeydown, true);
+      modelChooser.hidden = false;
+      modelChooserList.firstElementChild?.focus();
+      gsap.fromTo(
+        modelChooser.querySelector('.help-card'),
+        { scale: 0.95, autoAlpha: 0 },
+        { scale: 1, autoAlpha: 1, duration: 0.25, ease: 'power2.out' },
+      );
+    });
+  }
+
   showToast(message) {
     const template = this.dom.toastTemplate?.content?.firstElementChild;
     if (!template) return;
@@ -1824,7 +2455,10 @@ export class UIManager {
   }
 
   copySettingsToClipboard(message, payload) {
-    const text = JSON.stringify(payload, null, 2);
+    this.copyTextToClipboard(message, JSON.stringify(payload, null, 2));
+  }
+
+  copyTextToClipboard(message, text) {
     const write = async () => {
       if (navigator.clipboard?.writeText) {
         await navigator.clipboard.writeText(text);
@@ -1853,6 +2487,7 @@ export class UIManager {
       version: stats.version ?? '—',
       copyright: stats.copyright ?? '—',
       triangles: stats.triangles?.toLocaleString() ?? '—',
+      points: stats.points?.toLocaleString() ?? '—',
       vertices: stats.vertices?.toLocaleString() ?? '—',
       materials: stats.materials?.toString() ?? '—',
       textures: stats.textures?.toString() ?? '—',
@@ -1869,6 +2504,7 @@ export class UIManager {
           version: 'version',
           copyright: 'copyright',
           triangles: 'triangles',
+          points: 'points',
           vertices: 'vertices',
           materials: 'materials',
           textures: 'textures',
@@ -1879,6 +2515,314 @@ export class UIManager {
       if (dd && mapping[targetKey] !== undefined) {
         dd.textContent = mapping[targetKey];
       }
+      // Point clouds report points in place of triangles
+      if (targetKey === 'points') {
+        row.hidden = !stats.points;
+      } else if (targetKey === 'triangles') {
+        row.hidden = !stats.triangles && stats.points > 0;
+      }
+    });
+  }
+
+  // Greys out display modes the loaded model can't show (e.g. clay for splats)
+  setShadingModesDisabled(modes = []) {
+    this.inputs.shading.forEach((input) => {
+      input.disabled = modes.includes(input.value);
+    });
+  }
+
+  setPointControlsVisible(visible) {
+    if (this.dom.pointCloudBlock) {
+      this.dom.pointCloudBlock.hidden = !visible;
+    }
+  }
+
+  /**
+   * Fill the material inspector. Edits go out as 'material:edit'
+   * ({ id, key, value }), resets as 'material:reset' and mesh links as
+   * 'mesh:select' (mesh uuid, or null to deselect).
+   * @param {Array} materials - From MaterialController.getMaterialList()
+   */
+  setMaterials(materials = []) {
+    const { materialsBlock, materialList, materialItemTemplate } = this.dom;
+    if (!materialList || !materialItemTemplate) return;
+    materialsBlock.hidden = !materials.length;
+    materialList.replaceChildren(
+      ...materials.map((material) => {
+        const item = materialItemTemplate.content.firstElementChild.cloneNode(true);
+        item.dataset.materialId = material.id;
+        item.querySelector('.material-name').textContent = material.name;
+        item.querySelector('.material-name').title = material.name;
+        item.querySelector('.material-type').textContent = material.type;
+
+        item.querySelector('.material-meshes').replaceChildren(
+          ...material.meshes.map((mesh) => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'ghost-btn small material-mesh-link';
+            link.dataset.meshId = mesh.id;
+            link.textContent = mesh.name;
+            link.title = 'Select this mesh';
+            link.addEventListener('click', () => {
+              const selected = link.classList.contains('is-selected');
+              this.eventBus.emit('mesh:select', selected ? null : mesh.id);
+            });
+            return link;
+          }),
+        );
+        item.querySelector('.material-maps').replaceChildren(
+          ...material.maps.map((map) => {
+            const chip = document.createElement('span');
+            chip.className = 'material-map';
+            chip.textContent = map.label;
+            chip.title = map.detail || map.label;
+            return chip;
+          }),
+        );
+        if (!material.maps.length) {
+          item.querySelector('.material-maps').hidden = true;
+        }
+
+        item.querySelectorAll('[data-material-prop]').forEach((input) => {
+          const key = input.dataset.materialProp;
+          input.addEventListener('input', () => {
+            const value = input.type === 'range' ? parseFloat(input.value) : input.value;
+            this.setMaterialRowValue(item, key, value);
+            this.eventBus.emit('material:edit', { id: material.id, key, value });
+          });
+        });
+        item.querySelector('[data-material-reset]').addEventListener('click', () => {
+          this.eventBus.emit('material:reset', material.id);
+        });
+
+        this.updateMaterialEntry(material, item);
+        return item;
+      }),
+    );
+  }
+
+  // Show a material's current values; rows for properties it lacks are hidden
+  updateMaterialEntry(material, item = null) {
+    const target =
+      item ??
+      Array.from(this.dom.materialList?.children ?? []).find(
+        (element) => element.dataset.materialId === material.id,
+      );
+    if (!target) return;
+    target.querySelectorAll('[data-material-row]').forEach((row) => {
+      const key = row.dataset.materialRow;
+      const value = material.values[key];
+      row.hidden = value === undefined;
+      if (value === undefined) return;
+      row.querySelector('[data-material-prop]').value = value;
+      this.setMaterialRowValue(target, key, value);
+    });
+  }
+
+  setMaterialRowValue(item, key, value) {
+    if (key === 'color') {
+      item.querySelector('.material-swatch').style.background = value;
+    }
+    const label = item.querySelector(`[data-material-row="${key}"] .value`);
+    if (label) {
+      label.textContent = this.formatSliderValue(value, 'decimal');
+    }
+  }
+
+  /**
+   * Info card for a mesh picked in the viewport, placed beside the pointer
+   * @param {{ id, name, material, triangles, vertices, bounds }} info
+   * @param {{ x: number, y: number }} point - Client coordinates
+   */
+  showPickInfo(info, { x, y }) {
+    const { pickInfo, pickInfoName } = this.dom;
+    if (!pickInfo) return;
+    pickInfo.dataset.nodeId = info.id;
+    pickInfoName.textContent = info.name;
+    pickInfoName.title = info.name;
+    pickInfo.querySelectorAll('[data-pick-info]').forEach((field) => {
+      field.textContent = info[field.dataset.pickInfo] ?? '—';
+    });
+    pickInfo.hidden = false;
+    // Keep the card on screen near the screen edges
+    const offset = 14;
+    const { width, height } = pickInfo.getBoundingClientRect();
+    const left = x + offset + width > window.innerWidth ? x - offset - width : x + offset;
+    const top = Math.min(y + offset, window.innerHeight - height - offset);
+    pickInfo.style.left = `${Math.max(offset, left)}px`;
+    pickInfo.style.top = `${Math.max(offset, top)}px`;
+  }
+
+  hidePickInfo() {
+    if (this.dom.pickInfo) {
+      this.dom.pickInfo.hidden = true;
+    }
+  }
+
+  // Marks the selected node in the outliner and opens the materials it uses
+  // A new model: nothing analyzed yet, and nothing to analyze without meshes
+  resetQuality(available) {
+    this.qualityAvailable = available;
+    if (this.dom.qualityAnalyze) this.dom.qualityAnalyze.disabled = !available;
+    this.setQualityReport(null);
+  }
+
+  // fraction in 0–1 while the analysis runs (the button cancels it), null when it's done
+  setQualityProgress(fraction) {
+    const { qualityAnalyze } = this.dom;
+    if (!qualityAnalyze) return;
+    this.qualityRunning = fraction !== null && fraction !== undefined;
+    qualityAnalyze.disabled = !this.qualityRunning && !this.qualityAvailable;
+    qualityAnalyze.textContent = this.qualityRunning
+      ? `Cancel · ${Math.round(fraction * 100)}%`
+      : 'Analyze';
+  }
+
+  /**
+   * @param {Object|null} summary - { meshes, issues } from the analysis
+   */
+  setQualityReport(summary) {
+    const { qualityList, qualityExport } = this.dom;
+    if (!qualityList) return;
+    qualityList.hidden = !summary;
+    if (qualityExport) qualityExport.disabled = !summary;
+    if (!summary) return;
+    qualityList.querySelectorAll('[data-quality-check]').forEach((row) => {
+      const count = summary.issues[row.dataset.qualityCheck] ?? 0;
+      row.querySelector('.quality-count').textContent = count.toLocaleString();
+      row.classList.toggle('is-clean', count === 0);
+    });
+  }
+
+  setSelectedNode(nodeId) {
+    if (this.dom.pickInfo?.dataset.nodeId !== nodeId) {
+      this.hidePickInfo();
+    }
+    this.dom.materialList?.querySelectorAll('.material-mesh-link').forEach((link) => {
+      const selected = link.dataset.meshId === nodeId;
+      link.classList.toggle('is-selected', selected);
+      if (selected) {
+        link.closest('.material-item').open = true;
+      }
+    });
+    this.dom.outlinerTree?.querySelectorAll('.outliner-row').forEach((row) => {
+      const selected = row.parentElement.dataset.nodeId === nodeId;
+      row.classList.toggle('is-selected', selected);
+      if (!selected) return;
+      // Unfold the ancestors so the row can be seen
+      let list = row.parentElement.parentElement;
+      while (list?.classList.contains('outliner-children')) {
+        list.hidden = false;
+        list.previousElementSibling
+          ?.querySelector('.outliner-caret')
+          ?.setAttribute('aria-expanded', 'true');
+        list = list.parentElement.parentElement;
+      }
+      row.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  /**
+   * Build the node tree. Rows emit 'outliner:focus' (click the name),
+   * 'outliner:visibility' ({ id, visible }) and 'outliner:isolate' (id, or
+   * null to leave isolation).
+   * @param {Object|null} tree - From SceneGraphController.getTree()
+   */
+  setOutliner(tree) {
+    const { outlinerBlock, outlinerTree } = this.dom;
+    if (!outlinerTree) return;
+    outlinerBlock.hidden = !tree;
+    const createNode = (node, depth) => {
+      const item = document.createElement('li');
+      item.className = 'outliner-node';
+      item.dataset.nodeId = node.id;
+      item.setAttribute('role', 'treeitem');
+
+      const row = document.createElement('div');
+      row.className = 'outliner-row';
+
+      const caret = document.createElement('button');
+      caret.type = 'button';
+      caret.className = 'outliner-caret';
+      // The root starts unfolded so its parts show straight away
+      const expanded = depth === 0;
+      if (node.children.length) {
+        caret.textContent = '▸';
+        caret.setAttribute('aria-expanded', String(expanded));
+        caret.setAttribute('aria-label', 'Expand');
+      } else {
+        caret.tabIndex = -1;
+        caret.disabled = true;
+      }
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'outliner-name';
+      name.title = `${node.name} (${node.type}) — frame and select`;
+      name.textContent = node.name;
+      const type = document.createElement('span');
+      type.className = 'outliner-type';
+      type.textContent = node.type;
+      name.appendChild(type);
+      name.addEventListener('click', () => this.eventBus.emit('outliner:focus', node.id));
+
+      const triangles = document.createElement('span');
+      triangles.className = 'outliner-triangles';
+      triangles.textContent = node.triangles ? Math.round(node.triangles).toLocaleString() : '';
+      triangles.title = 'Triangles, including children';
+
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.className = 'outliner-visible';
+      visible.title = 'Visible';
+      visible.addEventListener('change', () => {
+        this.eventBus.emit('outliner:visibility', { id: node.id, visible: visible.checked });
+      });
+
+      const solo = document.createElement('button');
+      solo.type = 'button';
+      solo.className = 'outliner-solo';
+      solo.textContent = 'Solo';
+      solo.title = 'Show only this node';
+      solo.addEventListener('click', () => {
+        const active = solo.classList.contains('is-active');
+        this.eventBus.emit('outliner:isolate', active ? null : node.id);
+      });
+
+      row.append(caret, name, triangles, visible, solo);
+      item.appendChild(row);
+
+      if (node.children.length) {
+        const children = document.createElement('ul');
+        children.className = 'outliner-children';
+        children.setAttribute('role', 'group');
+        children.hidden = !expanded;
+        children.append(...node.children.map((child) => createNode(child, depth + 1)));
+        caret.addEventListener('click', () => {
+          children.hidden = !children.hidden;
+          caret.setAttribute('aria-expanded', String(!children.hidden));
+        });
+        item.appendChild(children);
+      }
+      return item;
+    };
+    outlinerTree.replaceChildren(...(tree ? [createNode(tree, 0)] : []));
+  }
+
+  // Sync checkboxes, the solo button and dimming with SceneGraphController.getStates()
+  updateOutlinerStates({ isolated, nodes }) {
+    const items = new Map(
+      Array.from(this.dom.outlinerTree?.querySelectorAll('.outliner-node') ?? [], (item) => [
+        item.dataset.nodeId,
+        item,
+      ]),
+    );
+    nodes.forEach(({ id, visible, shown }) => {
+      const row = items.get(id)?.querySelector(':scope > .outliner-row');
+      if (!row) return;
+      row.querySelector('.outliner-visible').checked = visible;
+      row.querySelector('.outliner-solo').classList.toggle('is-active', id === isolated);
+      row.classList.toggle('is-hidden', !shown);
     });
   }
 
@@ -1963,6 +2907,10 @@ export class UIManager {
   syncMeshControls(state) {
     this.inputs.scale.value = state.scale;
     this.updateValueLabel('scale', state.scale, 'multiplier');
+    if (this.inputs.pointSize) {
+      this.inputs.pointSize.value = state.pointSize;
+      this.updateValueLabel('pointSize', state.pointSize, 'pixels');
+    }
     this.inputs.yOffset.value = state.yOffset;
     this.updateValueLabel('yOffset', state.yOffset, 'distance');
     if (this.inputs.rotationX) {
@@ -2030,6 +2978,15 @@ export class UIManager {
       this.updateValueLabel('hdriRotation', rotation, 'angle');
     }
     this.inputs.hdriBackground.checked = state.hdriBackground;
+    Object.entries(STUDIO_ENVIRONMENT_CONTROLS).forEach(([id, { key, format }]) => {
+      const input = this.inputs[id];
+      const value = state.studioEnvironment?.[key];
+      if (!input || value === undefined) return;
+      input.value = value;
+      if (format !== 'color') {
+        this.updateValueLabel(id, value, format);
+      }
+    });
     this.inputs.backgroundColor.disabled =
       state.hdriBackground && state.hdriEnabled;
     this.inputs.backgroundColor.value = state.background;
@@ -2094,6 +3051,10 @@ export class UIManager {
       this.inputs.lightsAutoRotate.checked = !!state.lightsAutoRotate;
       this.setLightsRotationDisabled(!!state.lightsAutoRotate);
     }
+    if (this.inputs.lightsAlignToHdri) {
+      this.inputs.lightsAlignToHdri.checked = !!state.lightsAlignToHdri;
+      this.updateLensFlareControlsDisabled();
+    }
     if (this.inputs.lightsEnabled) {
       this.inputs.lightsEnabled.checked = !!state.lightsEnabled;
       this.setLightColorControlsDisabled(!state.lightsEnabled);
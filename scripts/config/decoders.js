@@ -0,0 +1,10 @@
+// Decoder/transcoder locations for compressed glTF assets. Point these at
+// vendored copies (e.g. './vendor/draco/') to run the viewer offline; each
+// folder must hold the files shipped in three's examples/jsm/libs/<name>/.
+
+export const DECODER_PATHS = {
+  // draco_decoder.js/.wasm and draco_wasm_wrapper.js
+  draco: 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/libs/draco/gltf/',
+  // basis_transcoder.js/.wasm for KTX2 textures
+  basis: 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/libs/basis/',
+};
@@ -7,58 +7,48 @@ export const HDRI_PRESETS = {
   'abandoned': { url: './assets/hdris/MR_INT-022_RefugeWindowHighContrast_Aorai_4k.jpg', type: 'ldr' },
   beach: { url: './assets/hdris/MR_EXT-010_BlueEndDayPinkClouds_Moorea_4k.jpg', type: 'ldr' },
   sunset: { url: './assets/hdris/MR_EXT-014_SunsetTropicalMountains_4k.jpg', type: 'ldr' },
+  // Generated by render/StudioEnvironmentGenerator.js from state.studioEnvironment
+  studio: { type: 'procedural', name: 'Studio' },
+};
+
+export const STUDIO_ENVIRONMENT_DEFAULTS = {
+  softboxIntensity: 8,
+  softboxSize: 2,
+  softboxHeight: 45,
+  fillIntensity: 2,
+  stripIntensity: 4,
+  stripCount: 2,
+  gradientTop: '#3a3d42',
+  gradientBottom: '#0c0d0f',
 };
 
 export const HDRI_STRENGTH_UNIT = 1.0;
 
+// Equirect images that can be dropped in as session presets
+export const HDRI_FILE_TYPES = {
+  hdr: 'hdr',
+  exr: 'exr',
+  jpg: 'ldr',
+  jpeg: 'ldr',
+  png: 'ldr',
+  webp: 'ldr',
+};
+
+export const getHdriFileType = (filename = '') =>
+  HDRI_FILE_TYPES[filename.split('.').pop()?.toLowerCase()] ?? null;
+
+// Optional per-preset mood overrides. Moods are derived from each image
+// (see render/HdriMoodExtractor.js); keys set here take precedence over the
+// derived values. Only looks the image alone doesn't suggest belong here.
 export const HDRI_MOODS = {
-  congress: {
-    bloomTint: '#f0f4f8',
-    bloomStrengthMin: 0.3,
-    bloomRadiusMin: 0.75,
-    grainTint: '#ffffff',
-    podiumColor: '#e8e8e8',
-    background: '#f5f5f5',
-  },
-  'luminous-sky': {
-    bloomTint: '#a8d5a3',
-    bloomStrengthMin: 0.4,
-    bloomRadiusMin: 0.75,
-    grainTint: '#d4e8d0',
-    podiumColor: '#3a4a2f',
-    background: '#2d3a24',
-  },
+  // The sun reads near-white; keep the warm glow the preset is named for
   sunset: {
     bloomTint: '#ff8c5a',
-    bloomStrengthMin: 0.4,
-    bloomRadiusMin: 0.75,
     grainTint: '#ffd4a8',
-    podiumColor: '#4a3a2a',
-    background: '#2a1f15',
-  },
-  meadow: {
-    bloomTint: '#fff4a8',
-    bloomStrengthMin: 0.4,
-    bloomRadiusMin: 0.75,
-    grainTint: '#fff8d4',
-    podiumColor: '#6b7a4a',
-    background: '#4a5a35',
   },
+  // Pink clouds and a blue backdrop instead of the muted horizon average
   beach: {
     bloomTint: '#ffb3d9',
-    bloomStrengthMin: 0.4,
-    bloomRadiusMin: 0.75,
-    grainTint: '#ffe5cc',
-    podiumColor: '#d4c5a9',
     background: '#5a7fb5',
   },
-  abandoned: {
-    bloomTint: '#8b6f47',
-    bloomStrengthMin: 0.35,
-    bloomRadiusMin: 0.75,
-    grainTint: '#a68b6b',
-    podiumColor: '#4a3a2a',
-    background: '#2a1f15',
-  },
 };
-
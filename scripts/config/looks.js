@@ -0,0 +1,76 @@
+// Built-in looks, stored as patches over the StateStore defaults
+
+export const LOOK_FILE_EXTENSION = '.orby-look.json';
+export const LOOK_FILE_FORMAT = 'orby-look';
+export const LOOKS_STORAGE_KEY = 'orby:looks';
+
+// Per-model placement is not part of a look
+export const LOOK_EXCLUDED_KEYS = ['scale', 'yOffset', 'rotationX', 'rotationY', 'rotationZ'];
+
+export const BUILT_IN_LOOKS = [
+  {
+    id: 'builtin-studio',
+    name: 'Studio Default',
+    patch: {},
+  },
+  {
+    id: 'builtin-daylight',
+    name: 'Outdoor Daylight',
+    patch: {
+      hdri: 'meadow',
+      hdriBackground: true,
+      hdriStrength: 2.5,
+      exposure: 2,
+      lightsEnabled: false,
+      aberration: { enabled: false },
+      grain: { enabled: false },
+      antiAliasing: 'fxaa',
+    },
+  },
+  {
+    id: 'builtin-product',
+    name: 'Product Shot',
+    patch: {
+      hdri: 'congress',
+      hdriBackground: false,
+      background: '#f2f2f2',
+      groundSolid: true,
+      groundSolidColor: '#e6e6e6',
+      groundWire: false,
+      bloom: { strength: 0.1 },
+      grain: { enabled: false },
+      aberration: { enabled: false },
+      antiAliasing: 'fxaa',
+      camera: { fov: 45 },
+    },
+  },
+  {
+    id: 'builtin-cinematic',
+    name: 'Cinematic Dusk',
+    patch: {
+      hdri: 'sunset',
+      hdriBackground: true,
+      hdriBlurriness: 0.4,
+      dof: { enabled: true, focus: 6, aperture: 0.006, strength: 0.8 },
+      bloom: { strength: 0.45, radius: 0.85 },
+      grain: { enabled: true, intensity: 0.06 },
+      lensDirt: { enabled: true },
+      camera: { contrast: 1.1, temperature: 5200, saturation: 1.1 },
+    },
+  },
+  {
+    id: 'builtin-clay-review',
+    name: 'Clay Review',
+    patch: {
+      shading: 'clay',
+      hdri: 'abandoned',
+      hdriBackground: false,
+      background: '#1a1a1a',
+      groundWire: true,
+      bloom: { enabled: false },
+      grain: { enabled: false },
+      aberration: { enabled: false },
+      antiAliasing: 'fxaa',
+    },
+  },
+];
@@ -0,0 +1,138 @@
+// Maps StateStore paths to the EventBus events that apply them to the scene.
+// Used to replay state that changed outside the regular input handlers
+// (undo/redo, presets). Order matters: HDRI rotation drags the lights along,
+// so lights rotation has to be emitted after it.
+
+const LIGHT_IDS = ['key', 'fill', 'rim', 'ambient'];
+
+const value = (path) => (state) =>
+  path.split('.').reduce((target, key) => target?.[key], state);
+
+export const STATE_EVENT_BINDINGS = [
+  { path: 'shading', event: 'mesh:shading', payload: value('shading') },
+  { path: 'scale', event: 'mesh:scale', payload: value('scale') },
+  { path: 'yOffset', event: 'mesh:yOffset', payload: value('yOffset') },
+  { path: 'rotationX', event: 'mesh:rotationX', payload: value('rotationX') },
+  { path: 'rotationY', event: 'mesh:rotationY', payload: value('rotationY') },
+  { path: 'rotationZ', event: 'mesh:rotationZ', payload: value('rotationZ') },
+  { path: 'autoRotate', event: 'mesh:auto-rotate', payload: value('autoRotate') },
+  { path: 'showNormals', event: 'mesh:normals', payload: value('showNormals') },
+  { path: 'pointSize', event: 'mesh:point-size', payload: value('pointSize') },
+  { path: 'clay.color', event: 'mesh:clay-color', payload: value('clay.color') },
+  { path: 'clay.roughness', event: 'mesh:clay-roughness', payload: value('clay.roughness') },
+  { path: 'clay.specular', event: 'mesh:clay-specular', payload: value('clay.specular') },
+  { path: 'clay.normalMap', event: 'mesh:clay-normal-map', payload: value('clay.normalMap') },
+  {
+    path: 'wireframe.alwaysOn',
+    event: 'mesh:wireframe-always-on',
+    payload: value('wireframe.alwaysOn'),
+  },
+  { path: 'wireframe.color', event: 'mesh:wireframe-color', payload: value('wireframe.color') },
+  {
+    path: 'wireframe.onlyVisibleFaces',
+    event: 'mesh:wireframe-only-visible-faces',
+    payload: value('wireframe.onlyVisibleFaces'),
+  },
+  { path: 'fresnel', event: 'render:fresnel', payload: value('fresnel') },
+
+  // Studio parameters first, so a switch to the studio preset builds it once
+  { path: 'studioEnvironment', event: 'studio:environment', payload: value('studioEnvironment') },
+  { path: 'hdri', event: 'studio:hdri', payload: value('hdri') },
+  { path: 'hdriEnabled', event: 'studio:hdri-enabled', payload: value('hdriEnabled') },
+  { path: 'hdriStrength', event: 'studio:hdri-strength', payload: value('hdriStrength') },
+  { path: 'hdriBlurriness', event: 'studio:hdri-blurriness', payload: value('hdriBlurriness') },
+  { path: 'hdriRotation', event: 'studio:hdri-rotation', payload: value('hdriRotation') },
+  { path: 'hdriBackground', event: 'studio:hdri-background', payload: value('hdriBackground') },
+  {
+    path: 'lensFlare.enabled',
+    event: 'studio:lens-flare-enabled',
+    payload: value('lensFlare.enabled'),
+  },
+  {
+    path: 'lensFlare.rotation',
+    event: 'studio:lens-flare-rotation',
+    payload: value('lensFlare.rotation'),
+  },
+  { path: 'lensFlare.height', event: 'studio:lens-flare-height', payload: value('lensFlare.height') },
+  { path: 'lensFlare.color', event: 'studio:lens-flare-color', payload: value('lensFlare.color') },
+  {
+    path: 'lensFlare.quality',
+    event: 'studio:lens-flare-quality',
+    payload: value('lensFlare.quality'),
+  },
+  { path: 'groundSolid', event: 'studio:ground-solid', payload: value('groundSolid') },
+  { path: 'groundWire', event: 'studio:ground-wire', payload: value('groundWire') },
+  {
+    path: 'groundSolidColor',
+    event: 'studio:ground-solid-color',
+    payload: value('groundSolidColor'),
+  },
+  { path: 'groundWireColor', event: 'studio:ground-wire-color', payload: value('groundWireColor') },
+  {
+    path: 'groundWireOpacity',
+    event: 'studio:ground-wire-opacity',
+    payload: value('groundWireOpacity'),
+  },
+  // Podium scale re-derives ground height, so restore the stored height after it
+  { path: 'podiumScale', event: 'studio:podium-scale', payload: value('podiumScale') },
+  { path: 'groundY', event: 'studio:ground-y', payload: value('groundY') },
+  { path: 'gridScale', event: 'studio:grid-scale', payload: value('gridScale') },
+  { path: 'gridY', event: 'studio:grid-y', payload: value('gridY') },
+
+  ...LIGHT_IDS.flatMap((lightId) =>
+    ['color', 'intensity'].map((property) => ({
+      path: `lights.${lightId}.${property}`,
+      event: 'lights:update',
+      payload: (state) => ({
+        lightId,
+        property,
+        value: state.lights?.[lightId]?.[property],
+      }),
+    })),
+  ),
+  { path: 'lightsMaster', event: 'lights:master', payload: value('lightsMaster') },
+  { path: 'lightsEnabled', event: 'lights:enabled', payload: value('lightsEnabled') },
+  { path: 'lightsRotation', event: 'lights:rotate', payload: value('lightsRotation') },
+  { path: 'lightsAutoRotate', event: 'lights:auto-rotate', payload: value('lightsAutoRotate') },
+  { path: 'lightsAlignToHdri', event: 'lights:align-hdri', payload: value('lightsAlignToHdri') },
+  {
+    path: 'showLightIndicators',
+    event: 'lights:show-indicators',
+    payload: value('showLightIndicators'),
+  },
+
+  { path: 'dof', event: 'render:dof', payload: value('dof') },
+  { path: 'bloom', event: 'render:bloom', payload: value('bloom') },
+  { path: 'lensDirt', event: 'render:lens-dirt', payload: value('lensDirt') },
+  { path: 'grain', event: 'render:grain', payload: value('grain') },
+  { path: 'aberration', event: 'render:aberration', payload: value('aberration') },
+  { path: 'camera.fov', event: 'camera:fov', payload: value('camera.fov') },
+  { path: 'camera.tilt', event: 'camera:tilt', payload: value('camera.tilt') },
+  { path: 'camera.contrast', event: 'render:contrast', payload: value('camera.contrast') },
+  { path: 'camera.temperature', event: 'render:temperature', payload: value('camera.temperature') },
+  { path: 'camera.tint', event: 'render:tint', payload: (state) => (state.camera?.tint ?? 0) / 100 },
+  {
+    path: 'camera.highlights',
+    event: 'render:highlights',
+    payload: (state) => (state.camera?.highlights ?? 0) / 100,
+  },
+  {
+    path: 'camera.shadows',
+    event: 'render:shadows',
+    payload: (state) => (state.camera?.shadows ?? 0) / 50,
+  },
+  { path: 'camera.saturation', event: 'render:saturation', payload: value('camera.saturation') },
+  { path: 'autoExposure', event: 'camera:auto-exposure', payload: value('autoExposure') },
+  { path: 'exposure', event: 'scene:exposure', payload: value('exposure') },
+  { path: 'antiAliasing', event: 'render:anti-aliasing', payload: value('antiAliasing') },
+  { path: 'toneMapping', event: 'render:tone-mapping', payload: value('toneMapping') },
+  { path: 'background', event: 'scene:background', payload: value('background') },
+];
+
+const overlaps = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+// Resolve changed paths to the ordered list of [event, payload] pairs to emit
+export const getStateEvents = (paths, state) =>
+  STATE_EVENT_BINDINGS.filter((binding) =>
+    paths.some((path) => overlaps(binding.path, path)),
+  ).map((binding) => [binding.event, binding.payload(state)]);
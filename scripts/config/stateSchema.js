@@ -0,0 +1,96 @@
+import { CHANNEL_SHADINGS } from '../constants.js';
+
+// Bump whenever a persisted key is renamed, removed or changes meaning,
+// and add a migration from the previous version below.
+export const STATE_SCHEMA_VERSION = 2;
+
+export const STATE_STORAGE_KEY = 'orby:state';
+
+// Lens flare quality used to be a four-step scale before it collapsed
+// to 'maximum' / 'optimized'.
+const LEGACY_LENS_FLARE_QUALITY = {
+  low: 'optimized',
+  medium: 'optimized',
+  high: 'maximum',
+};
+
+// Each entry upgrades a state object from version N to N + 1.
+// Version 1 is the unversioned shape written before persistence existed.
+export const STATE_MIGRATIONS = {
+  1: (state) => {
+    const quality = state.lensFlare?.quality;
+    if (quality && LEGACY_LENS_FLARE_QUALITY[quality]) {
+      state.lensFlare.quality = LEGACY_LENS_FLARE_QUALITY[quality];
+    }
+    return state;
+  },
+};
+
+// Allowed values for string settings backed by a fixed set of options
+export const STATE_ENUMS = {
+  shading: ['shaded', 'textures', 'clay', 'wireframe', ...CHANNEL_SHADINGS],
+  'lensFlare.quality': ['maximum', 'optimized'],
+  antiAliasing: ['none', 'fxaa'],
+  toneMapping: ['aces-filmic', 'reinhard', 'linear', 'none'],
+};
+
+// Accepted [min, max] for numeric settings, mirroring the UI slider bounds.
+// Ground and grid heights are wider than their sliders because snapping to
+// the mesh bottom can place them anywhere.
+export const STATE_RANGES = {
+  scale: [0.1, 4],
+  yOffset: [-2, 2],
+  rotationX: [-180, 180],
+  rotationY: [-180, 180],
+  rotationZ: [-180, 180],
+  autoRotate: [0, 1],
+  pointSize: [0.5, 10],
+  hdriStrength: [0, 3],
+  hdriBlurriness: [0, 1],
+  hdriRotation: [0, 360],
+  'studioEnvironment.softboxIntensity': [0, 20],
+  'studioEnvironment.softboxSize': [0.5, 5],
+  'studioEnvironment.softboxHeight': [0, 90],
+  'studioEnvironment.fillIntensity': [0, 10],
+  'studioEnvironment.stripIntensity': [0, 20],
+  'studioEnvironment.stripCount': [0, 4],
+  groundWireOpacity: [0, 1],
+  groundY: [-50, 50],
+  gridY: [-50, 50],
+  podiumScale: [0.5, 3],
+  gridScale: [0.5, 3],
+  'clay.roughness': [0, 1],
+  'clay.specular': [0, 1],
+  'fresnel.radius': [0.5, 5],
+  'fresnel.strength': [0, 1],
+  'lights.key.intensity': [0, 10],
+  'lights.fill.intensity': [0, 10],
+  'lights.rim.intensity': [0, 10],
+  'lights.ambient.intensity': [0, 10],
+  lightsMaster: [0, 5],
+  lightsRotation: [0, 360],
+  'lensFlare.rotation': [0, 360],
+  'lensFlare.height': [0, 90],
+  'dof.focus': [0.1, 100],
+  'dof.aperture': [0.0001, 0.02],
+  'dof.strength': [0, 1],
+  'bloom.threshold': [0, 1],
+  'bloom.strength': [0, 2],
+  'bloom.radius': [0, 1],
+  'lensDirt.strength': [0, 1],
+  'lensDirt.minLuminance': [0, 1],
+  'lensDirt.maxLuminance': [0, 1],
+  'lensDirt.sensitivity': [0, 1],
+  'grain.intensity': [0, 0.15],
+  'aberration.offset': [0, 0.02],
+  'aberration.strength': [0, 1],
+  'camera.fov': [45, 120],
+  'camera.tilt': [-45, 45],
+  'camera.contrast': [0, 2],
+  'camera.temperature': [2000, 10000],
+  'camera.tint': [-100, 100],
+  'camera.highlights': [-100, 100],
+  'camera.shadows': [-50, 50],
+  'camera.saturation': [0, 2],
+  exposure: [0, 2],
+};
@@ -9,12 +9,54 @@ export const WIREFRAME_OPACITY_OVERLAY = 0.8;
 export const CLAY_DEFAULT_ROUGHNESS = 0.6;
 export const CLAY_DEFAULT_METALNESS = 0.08;
 
+// Shading modes that show one channel of the original material, unlit
+export const CHANNEL_SHADINGS = [
+  'albedo',
+  'normals',
+  'roughness',
+  'metalness',
+  'occlusion',
+  'emissive',
+  'uv',
+];
+// Readable names for messages; the shading radios use shorter ones
+export const SHADING_LABELS = {
+  shaded: 'Shaded',
+  textures: 'Unlit',
+  clay: 'Clay',
+  wireframe: 'Wireframe',
+  albedo: 'Albedo',
+  normals: 'Normal',
+  roughness: 'Roughness',
+  metalness: 'Metalness',
+  occlusion: 'Ambient occlusion',
+  emissive: 'Emissive',
+  uv: 'UV',
+};
+export const UV_CHECKER_CELLS = 8;
+
 export const PODIUM_TOP_RADIUS_OFFSET = 0.08;
 export const PODIUM_SEGMENTS = 96;
 export const PODIUM_RADIUS_MULTIPLIER = 1.05;
 
 export const NORMALS_HELPER_SIZE = 0.08;
 export const NORMALS_HELPER_COLOR = '#4db3ff';
+export const SELECTION_HELPER_COLOR = '#ffc857';
+export const HOVER_OUTLINE_COLOR = '#ffffff';
+export const HOVER_OUTLINE_STRENGTH = 3;
+export const PICK_CLICK_TOLERANCE = 4; // Pixels the pointer may move and still count as a click
+
+// Mesh quality overlays, one colour per check (missing UVs is per mesh and has none)
+export const QUALITY_CHECK_COLORS = {
+  nonManifoldEdges: '#ff4d4d',
+  openEdges: '#4fc3f7',
+  inconsistentEdges: '#ff9f1c',
+  flippedFaces: '#b36bff',
+  degenerateFaces: '#ff5fd2',
+  duplicateVertices: '#7cff6b',
+  uvOverlapFaces: '#ffe14d',
+};
+export const QUALITY_REPORT_SAMPLE_LIMIT = 100; // Issue locations listed per mesh and check
 
 export const DEFAULT_MATERIAL_ROUGHNESS = 0.8;
 export const DEFAULT_MATERIAL_METALNESS = 0.08;
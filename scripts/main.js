@@ -17,14 +17,21 @@ const gamepad = new GamepadController({
 });
 
 ui.init();
-scene
-  .init()
+// Settings from a share link must land in the store before the first snapshot
+ui
+  .loadSharedState()
+  .then(() => scene.init())
   .then(() => {
     // Initialize Lucide icons
     if (typeof lucide !== 'undefined') {
       lucide.createIcons();
     }
     console.info('Orby ready');
+    // ?model=<url> links straight to a hosted model
+    const modelUrl = new URLSearchParams(window.location.search).get('model');
+    if (modelUrl) {
+      eventBus.emit('file:url', modelUrl);
+    }
   })
   .catch((error) => {
     console.error('Orby failed to initialize', error);
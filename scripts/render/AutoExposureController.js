@@ -231,6 +231,18 @@ export class AutoExposureController {
     this.autoExposureValue = this.currentExposure ?? this.manualExposure ?? 1;
   }
 
+  /**
+   * Forget the adaptation history and start again from the manual exposure,
+   * so offline renders don't depend on what was on screen before
+   */
+  reset() {
+    this.averageLuminance = this.target;
+    this.autoExposureValue = this.manualExposure ?? 1;
+    if (this.enabled) {
+      this.setExposure(this.autoExposureValue);
+    }
+  }
+
   /**
    * Apply a state snapshot (used when loading saved state)
    * @param {Object} state - Full state object
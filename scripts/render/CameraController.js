@@ -2,6 +2,18 @@ import * as THREE from 'three';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/controls/OrbitControls.js';
 import { gsap } from 'https://cdn.jsdelivr.net/npm/gsap@3.12.5/index.js';
 
+// Camera offsets from the model center, in multiples of (distance, radius, distance).
+// Straight up/down views get a tiny nudge so OrbitControls keeps a stable up vector.
+export const CAMERA_PRESETS = {
+  front: { label: 'Front', offset: [0, 0.2, 1] },
+  back: { label: 'Back', offset: [0, 0.2, -1] },
+  left: { label: 'Left', offset: [-1, 0.2, 0] },
+  right: { label: 'Right', offset: [1, 0.2, 0] },
+  top: { label: 'Top', offset: [0, 1, 0.0001], vertical: true },
+  bottom: { label: 'Bottom', offset: [0, -1, 0.0001], vertical: true },
+  'three-quarter': { label: '3/4', offset: [1, 0.4, 1] },
+};
+
 export class CameraController {
   constructor(
     camera,
@@ -25,6 +37,7 @@ export class CameraController {
     };
     this.altLightRotateSensitivity = altLightRotateSensitivity;
     this.modelBounds = null;
+    this.focusTweens = [];
 
     this.controls = new OrbitControls(this.camera, this.canvas);
     this.controls.enableDamping = true;
@@ -264,16 +277,21 @@ export class CameraController {
    * Smoothly animate camera to focus on an object
    * @param {THREE.Object3D} object - The object to focus on
    * @param {number} duration - Animation duration in seconds (default: 1.0)
+   * @param {Object} [options]
+   * @param {boolean} [options.isPart=false] - A piece of the model: keep the model
+   *   bounds (lights, presets) and the current view direction
    */
-  focusOnObjectAnimated(object, duration = 1.0) {
+  focusOnObjectAnimated(object, duration = 1.0, { isPart = false } = {}) {
     const box = new THREE.Box3().setFromObject(object);
     if (!box.isEmpty()) {
       const size = box.getSize(new THREE.Vector3());
       const center = box.getCenter(new THREE.Vector3());
-      this.modelBounds = { box, size, center, radius: size.length() / 2 };
-      
-      // Notify other systems that model bounds have changed
-      this.callbacks.onModelBoundsChanged?.(this.modelBounds);
+      const radius = size.length() / 2;
+      if (!isPart) {
+        this.modelBounds = { box, size, center, radius };
+        // Notify other systems that model bounds have changed
+        this.callbacks.onModelBoundsChanged?.(this.modelBounds);
+      }
       
       // Calculate target position and target point
       // Adjust target point downward so mesh appears higher in frame (less bottom-heavy)
@@ -281,8 +299,12 @@ export class CameraController {
       const adjustedCenter = center.clone();
       adjustedCenter.y -= size.y * 0.05; // Negative Y = down, which makes mesh appear higher
       
-      const distance = this.modelBounds.radius * 2.2 || 5;
-      const direction = new THREE.Vector3(1.5, 1.2, 1.5).normalize();
+      const distance = radius * 2.2 || 5;
+      const direction = new THREE.Vector3(1.5, 1.2, 1.5);
+      if (isPart && this.camera.position.distanceToSquared(this.controls.target) > 0) {
+        direction.subVectors(this.camera.position, this.controls.target);
+      }
+      direction.normalize();
       const targetPosition = adjustedCenter.clone().add(direction.multiplyScalar(distance));
       const targetPoint = adjustedCenter.clone();
       
@@ -301,7 +323,7 @@ export class CameraController {
       const targetObj = { x: startTarget.x, y: startTarget.y, z: startTarget.z };
       
       // Animate camera position and target together
-      gsap.to(positionObj, {
+      const positionTween = gsap.to(positionObj, {
         x: targetPosition.x,
         y: targetPosition.y,
         z: targetPosition.z,
@@ -313,7 +335,7 @@ export class CameraController {
       });
       
       // Animate controls target
-      gsap.to(targetObj, {
+      const targetTween = gsap.to(targetObj, {
         x: targetPoint.x,
         y: targetPoint.y,
         z: targetPoint.z,
@@ -335,35 +357,48 @@ export class CameraController {
           this.controls.update();
         },
       });
+      this.focusTweens = [positionTween, targetTween];
     }
   }
 
+  // Jump a running focus animation to its end, so offline renders don't
+  // depend on how far it got in wall-clock time
+  finishFocusAnimation() {
+    this.focusTweens.forEach((tween) => {
+      if (tween.progress() < 1) tween.progress(1);
+    });
+    this.focusTweens = [];
+  }
+
   /**
-   * Apply a camera preset (front, three-quarter, top)
-   * @param {string} preset - Preset name ('front', 'three-quarter', 'top')
+   * Camera placement for a preset, without moving the camera
+   * @param {string} preset - Key of CAMERA_PRESETS
+   * @returns {{ position: THREE.Vector3, target: THREE.Vector3 } | null}
    */
-  applyCameraPreset(preset) {
-    if (!this.modelBounds) return;
+  getCameraPresetPose(preset) {
+    const config = CAMERA_PRESETS[preset];
+    if (!this.modelBounds || !config) return null;
     const { center, radius } = this.modelBounds;
     const distance = radius * 2.4 || 5;
+    const [x, y, z] = config.offset;
     const target = center.clone();
-    let position;
-    
-    if (preset === 'front') {
-      position = target.clone().add(new THREE.Vector3(0, radius * 0.2, distance));
-    } else if (preset === 'three-quarter') {
-      position = target
-        .clone()
-        .add(new THREE.Vector3(distance, radius * 0.4, distance));
-    } else if (preset === 'top') {
-      position = target.clone().add(new THREE.Vector3(0, distance, 0.0001));
-    }
-    
-    if (position) {
-      this.camera.position.copy(position);
-      this.controls.target.copy(target);
-      this.controls.update();
-    }
+    // Vertical views sit a full distance away; the rest lift by a fraction of the radius
+    const position = target
+      .clone()
+      .add(new THREE.Vector3(x * distance, y * (config.vertical ? distance : radius), z * distance));
+    return { position, target };
+  }
+
+  /**
+   * Apply a camera preset
+   * @param {string} preset - Key of CAMERA_PRESETS ('front', 'back', 'left', 'right', 'top', 'bottom', 'three-quarter')
+   */
+  applyCameraPreset(preset) {
+    const pose = this.getCameraPresetPose(preset);
+    if (!pose) return;
+    this.camera.position.copy(pose.position);
+    this.controls.target.copy(pose.target);
+    this.controls.update();
   }
 
   dispose() {
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
 import { RGBELoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/EXRLoader.js';
 import { ShaderPass } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/postprocessing/ShaderPass.js';
 import { RotateEquirectShader } from '../shaders/index.js';
+import { extractHdriMood, extractHdriSun } from './HdriMoodExtractor.js';
+import { StudioEnvironmentGenerator } from './StudioEnvironmentGenerator.js';
+import { createEquirectThumbnail } from '../utils/equirectSampler.js';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 export class EnvironmentController {
   constructor(scene, renderer, {
@@ -18,8 +24,11 @@ export class EnvironmentController {
   } = {}) {
     this.scene = scene;
     this.renderer = renderer;
-    this.presets = presets;
-    this.moods = moods;
+    // Copies, so session-only presets don't leak into the shared config
+    this.presets = { ...presets };
+    this.moods = { ...moods };
+    this.derivedMoods = new Map();
+    this.suns = new Map();
     this.onEnvironmentMapUpdated = onEnvironmentMapUpdated;
 
     this.enabled = enabled;
@@ -31,6 +40,8 @@ export class EnvironmentController {
 
     this.textureLoader = new THREE.TextureLoader();
     this.hdriLoader = new RGBELoader();
+    this.exrLoader = new EXRLoader();
+    this.studioGenerator = new StudioEnvironmentGenerator(this.renderer);
     this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
     this.pmremGenerator.compileEquirectangularShader();
 
@@ -84,7 +95,7 @@ export class EnvironmentController {
       this.fadeProgress = 1.0;
       this.currentPreset = preset;
       this._applyEnvironment();
-      return this.moods?.[preset] ?? null;
+      return this.getMood(preset);
     }
     
     // First time loading - use lazy loading with low-res preview
@@ -111,6 +122,8 @@ export class EnvironmentController {
         const texture = await this._loadHdriTexture(this.presets[preset]);
         if (!texture) throw new Error('HDRI texture failed to load');
         this.cache.set(preset, texture);
+        this._deriveMood(preset, texture);
+        this._deriveSun(preset, texture);
         this.currentPreset = preset;
         this.currentEnvironmentTexture = texture;
         this.fullResPmremReady = false;
@@ -130,7 +143,7 @@ export class EnvironmentController {
         
         // Fade in the full resolution
         this._fadeInFullRes();
-        return this.moods?.[preset] ?? null;
+        return this.getMood(preset);
       } catch (fullResError) {
         console.error('Failed to load full-res HDRI texture', preset, fullResError);
         // Keep low-res visible if full-res fails
@@ -139,7 +152,7 @@ export class EnvironmentController {
           this.fadeProgress = 1.0;
           this._applyEnvironment();
         }
-        return this.moods?.[preset] ?? null;
+        return this.getMood(preset);
       }
     } catch (error) {
       console.error('Failed to load HDRI preset', preset, error);
@@ -151,6 +164,90 @@ export class EnvironmentController {
     return this.currentPreset;
   }
 
+  hasPreset(preset) {
+    return Boolean(preset && this.presets[preset]);
+  }
+
+  isPresetLoaded(preset) {
+    return this.cache.has(preset);
+  }
+
+  /**
+   * Register a session-only preset, e.g. an HDRI the user dropped in
+   * @param {string} preset - Preset id
+   * @param {Object} config - { url, type: 'ldr' | 'hdr' | 'exr', name }
+   * @param {Object|null} mood - Optional mood override; derived from the image otherwise
+   */
+  registerPreset(preset, config, mood = null) {
+    this.presets[preset] = config;
+    if (mood) {
+      this.moods[preset] = mood;
+    }
+  }
+
+  unregisterPreset(preset) {
+    const config = this.presets[preset];
+    if (!config) return;
+    const texture = this.cache.get(preset);
+    if (texture && texture !== this.currentEnvironmentTexture) {
+      texture.dispose();
+    }
+    this.cache.delete(preset);
+    this.derivedMoods.delete(preset);
+    this.suns.delete(preset);
+    delete this.presets[preset];
+    delete this.moods[preset];
+    if (config.url?.startsWith('blob:')) {
+      URL.revokeObjectURL(config.url);
+    }
+  }
+
+  /**
+   * Update a procedural preset's parameters and regenerate it if it was built
+   * @param {string} preset - Preset id of a `type: 'procedural'` preset
+   * @param {Object} params - Generator parameters (state.studioEnvironment)
+   */
+  setProceduralParams(preset, params) {
+    const config = this.presets[preset];
+    if (config?.type !== 'procedural') return;
+    this.presets[preset] = { ...config, params: { ...params } };
+
+    const previous = this.cache.get(preset);
+    if (!previous) return; // Generated with these params on first use
+    let texture;
+    try {
+      texture = this.studioGenerator.generate(params);
+    } catch (error) {
+      console.error('Failed to generate studio environment', preset, error);
+      return;
+    }
+    this.cache.set(preset, texture);
+    // Mood and sun follow the new layout
+    this.derivedMoods.delete(preset);
+    this.suns.delete(preset);
+    this._deriveMood(preset, texture);
+    this._deriveSun(preset, texture);
+
+    if (this.currentEnvironmentTexture === previous) {
+      this.currentEnvironmentTexture = texture;
+      if (!this.isFading) {
+        this._applyEnvironment();
+      }
+    }
+    previous.dispose();
+  }
+
+  createThumbnail(preset) {
+    const texture = this.cache.get(preset);
+    if (!texture) return null;
+    try {
+      return createEquirectThumbnail(texture);
+    } catch (error) {
+      console.warn('Failed to create HDRI thumbnail', preset, error);
+      return null;
+    }
+  }
+
   setEnabled(enabled) {
     this.enabled = !!enabled;
     this._applyEnvironment();
@@ -179,7 +276,50 @@ export class EnvironmentController {
   }
 
   getMood(preset) {
-    return this.moods?.[preset] ?? null;
+    const derived = this.derivedMoods.get(preset);
+    const override = this.moods?.[preset];
+    if (!derived && !override) return null;
+    // Hand-authored values (possibly partial) win over the derived ones
+    return { ...derived, ...override };
+  }
+
+  /**
+   * Dominant light of a loaded preset, in world space (HDRI rotation applied)
+   * @param {string} preset - Preset id, defaults to the current one
+   * @returns {{ direction: THREE.Vector3, color: THREE.Color, dominance: number } | null}
+   */
+  getSun(preset = this.currentPreset) {
+    const sun = this.suns.get(preset);
+    if (!sun) return null;
+    // The rotation pass shifts U by rotation/360, which turns the sky about +Y
+    const direction = sun.direction
+      .clone()
+      .applyAxisAngle(Y_AXIS, THREE.MathUtils.degToRad(this.rotation));
+    return { direction, color: sun.color.clone(), dominance: sun.dominance };
+  }
+
+  _deriveSun(preset, texture) {
+    if (this.suns.has(preset)) return;
+    try {
+      const sun = extractHdriSun(texture);
+      if (sun) {
+        this.suns.set(preset, sun);
+      }
+    } catch (error) {
+      console.warn('Failed to find HDRI sun', preset, error);
+    }
+  }
+
+  _deriveMood(preset, texture) {
+    if (this.derivedMoods.has(preset)) return;
+    try {
+      const mood = extractHdriMood(texture);
+      if (mood) {
+        this.derivedMoods.set(preset, mood);
+      }
+    } catch (error) {
+      console.warn('Failed to derive HDRI mood', preset, error);
+    }
   }
 
   _notifyEnvironmentMapUpdated(texture, intensity) {
@@ -189,6 +329,8 @@ export class EnvironmentController {
   }
 
   async _loadHdriTextureLowRes(config) {
+    // Procedural studios are generated at full resolution straight away
+    if (config?.type === 'procedural') return null;
     const source = typeof config === 'string' ? config : config?.url;
     const type = typeof config === 'object' ? config.type : 'hdr';
     if (!source) throw new Error('Missing HDRI source');
@@ -230,6 +372,9 @@ export class EnvironmentController {
   }
 
   async _loadHdriTexture(config) {
+    if (config?.type === 'procedural') {
+      return this.studioGenerator.generate(config.params);
+    }
     const source = typeof config === 'string' ? config : config?.url;
     const type = typeof config === 'object' ? config.type : 'hdr';
     if (!source) throw new Error('Missing HDRI source');
@@ -249,7 +394,8 @@ export class EnvironmentController {
       });
     }
 
-    const texture = await this.hdriLoader.loadAsync(source);
+    const loader = type === 'exr' ? this.exrLoader : this.hdriLoader;
+    const texture = await loader.loadAsync(source);
     texture.mapping = THREE.EquirectangularReflectionMapping;
     return texture;
   }
@@ -271,7 +417,8 @@ export class EnvironmentController {
 
       const animate = () => {
         const elapsed = performance.now() - startTime;
-        const progress = Math.min(1, elapsed / duration);
+        // finishFade() may already have jumped to the end
+        const progress = this.fadeProgress >= 1 ? 1 : Math.min(1, elapsed / duration);
         // Use very smooth ease-out curve to prevent any pop
         const easedProgress = 1 - Math.pow(1 - progress, 4); // Higher power = smoother
         this.fadeProgress = startProgress + (1 - startProgress) * easedProgress;
@@ -306,6 +453,14 @@ export class EnvironmentController {
     }, 100);
   }
 
+  // Show the full-res HDRI now instead of waiting out the fade, so offline
+  // renders don't depend on how far it got in wall-clock time
+  finishFade() {
+    if (!this.isFading) return;
+    this.fadeProgress = 1.0;
+    this._applyEnvironment();
+  }
+
   _applyEnvironment() {
     // During fade, gradually transition from low-res to full-res
     // Keep low-res visible almost until the end to prevent pop
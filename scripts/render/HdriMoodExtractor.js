@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import { sampleEquirect, toDisplayColor } from '../utils/equirectSampler.js';
+
+const SAMPLE_WIDTH = 128;
+const HUE_BINS = 36;
+const BRIGHT_FRACTION = 0.02; // Top 2% of the sphere counts as the "bright region"
+const HORIZON_BAND = [0.45, 0.62]; // Rows (0 = zenith, 1 = nadir) averaged for the horizon
+
+const WHITE = new THREE.Color('#ffffff');
+
+const luminance = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+const toHex = (color) => `#${color.getHexString()}`;
+
+/**
+ * Analyze an equirect texture. Samples are weighted by solid angle so the
+ * stretched poles don't dominate.
+ * @param {THREE.Texture} texture - Loaded equirect texture
+ * @returns {Object|null} { dominantHue, dominantSaturation, average, brightest, horizon, dynamicRange }
+ */
+export const analyzeEquirect = (texture) => {
+  const samples = sampleEquirect(texture, SAMPLE_WIDTH);
+  if (!samples) return null;
+  const { width, height, data, hdr } = samples;
+
+  const hueWeights = new Float32Array(HUE_BINS);
+  const hueSaturation = new Float32Array(HUE_BINS);
+  const average = [0, 0, 0];
+  const horizon = [0, 0, 0];
+  let totalWeight = 0;
+  let horizonWeight = 0;
+  const pixels = [];
+  const hsl = {};
+
+  for (let y = 0; y < height; y += 1) {
+    const v = (y + 0.5) / height;
+    const weight = Math.sin(v * Math.PI); // cos(latitude)
+    const inHorizon = v >= HORIZON_BAND[0] && v <= HORIZON_BAND[1];
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 3;
+      const r = data[index];
+      const g = data[index + 1];
+      const b = data[index + 2];
+      const lum = luminance(r, g, b);
+
+      average[0] += r * weight;
+      average[1] += g * weight;
+      average[2] += b * weight;
+      totalWeight += weight;
+      if (inHorizon) {
+        horizon[0] += r * weight;
+        horizon[1] += g * weight;
+        horizon[2] += b * weight;
+        horizonWeight += weight;
+      }
+      pixels.push({ r, g, b, lum, weight });
+
+      // Hue histogram: vivid, bright pixels vote the hardest
+      toDisplayColor(r, g, b, hdr).getHSL(hsl);
+      const vote = weight * hsl.s * Math.min(1, lum);
+      const bin = Math.min(HUE_BINS - 1, Math.floor(hsl.h * HUE_BINS));
+      hueWeights[bin] += vote;
+      hueSaturation[bin] += hsl.s * vote;
+    }
+  }
+  if (!totalWeight) return null;
+
+  // Brightest region: average the top slice of the sphere by luminance
+  pixels.sort((a, b) => b.lum - a.lum);
+  const brightest = [0, 0, 0];
+  let brightWeight = 0;
+  for (const pixel of pixels) {
+    if (brightWeight >= totalWeight * BRIGHT_FRACTION) break;
+    brightest[0] += pixel.r * pixel.weight;
+    brightest[1] += pixel.g * pixel.weight;
+    brightest[2] += pixel.b * pixel.weight;
+    brightWeight += pixel.weight;
+  }
+
+  // Smooth the histogram over neighbours before picking the peak
+  let dominantBin = 0;
+  let dominantScore = -1;
+  for (let i = 0; i < HUE_BINS; i += 1) {
+    const score =
+      hueWeights[i] +
+      0.5 * (hueWeights[(i + 1) % HUE_BINS] + hueWeights[(i - 1 + HUE_BINS) % HUE_BINS]);
+    if (score > dominantScore) {
+      dominantScore = score;
+      dominantBin = i;
+    }
+  }
+
+  const divide = (sum, weight) => sum.map((value) => value / Math.max(weight, 1e-6));
+  const avg = divide(average, totalWeight);
+  const bright = divide(brightest, brightWeight);
+  const horizonAverage = horizonWeight ? divide(horizon, horizonWeight) : avg;
+
+  return {
+    hdr,
+    dominantHue: (dominantBin + 0.5) / HUE_BINS,
+    dominantSaturation: hueWeights[dominantBin]
+      ? hueSaturation[dominantBin] / hueWeights[dominantBin]
+      : 0,
+    average: toDisplayColor(...avg, hdr),
+    // Normalized rather than tone mapped, so a blown-out sun keeps its hue
+    brightest: new THREE.Color(...bright.map((value) => value / Math.max(...bright, 1e-6))),
+    horizon: toDisplayColor(...horizonAverage, hdr),
+    dynamicRange: luminance(...bright) / Math.max(luminance(...avg), 1e-4),
+  };
+};
+
+/**
+ * Derive a mood (same shape as HDRI_MOODS entries) from an equirect texture
+ * @param {THREE.Texture} texture - Loaded equirect texture
+ * @returns {Object|null} Mood consumed by HdriMoodController.apply
+ */
+export const extractHdriMood = (texture) => {
+  const analysis = analyzeEquirect(texture);
+  if (!analysis) return null;
+  const { dominantHue, dominantSaturation, brightest, horizon, dynamicRange } = analysis;
+
+  // Bloom follows the light source: its hue, pushed to full brightness
+  const bloomHsl = {};
+  brightest.getHSL(bloomHsl);
+  const bloomTint = new THREE.Color()
+    .setHSL(bloomHsl.h, Math.min(1, bloomHsl.s * 1.4), 0.75)
+    .lerp(WHITE, 0.25);
+
+  // Grain carries a faint wash of the scene's dominant hue
+  const grainTint = new THREE.Color()
+    .setHSL(dominantHue, Math.min(0.6, dominantSaturation), 0.85);
+
+  // Podium and backdrop sit on the horizon colour, darker for the backdrop
+  const horizonHsl = {};
+  horizon.getHSL(horizonHsl);
+  const podiumColor = new THREE.Color().setHSL(
+    horizonHsl.h,
+    Math.min(0.5, horizonHsl.s),
+    THREE.MathUtils.clamp(horizonHsl.l * 0.85, 0.12, 0.7),
+  );
+  const background = new THREE.Color().setHSL(
+    horizonHsl.h,
+    Math.min(0.5, horizonHsl.s),
+    THREE.MathUtils.clamp(horizonHsl.l * 0.55, 0.05, 0.5),
+  );
+
+  // Punchy, high-contrast skies earn a stronger bloom floor
+  const bloomStrengthMin = THREE.MathUtils.clamp(
+    0.3 + 0.03 * Math.log2(Math.max(1, dynamicRange)),
+    0.3,
+    0.5,
+  );
+
+  return {
+    bloomTint: toHex(bloomTint),
+    bloomStrengthMin: Math.round(bloomStrengthMin * 100) / 100,
+    bloomRadiusMin: 0.75,
+    grainTint: toHex(grainTint),
+    podiumColor: toHex(podiumColor),
+    background: toHex(background),
+  };
+};
+
+const SUN_SAMPLE_WIDTH = 256;
+const SUN_RADIUS = THREE.MathUtils.degToRad(12); // Angular radius gathered around the peak
+const SUN_THRESHOLD = 0.25; // Fraction of the peak luminance that still counts as "sun"
+
+// Direction for an equirect sample, matching three.js' equirectUv mapping
+const sampleDirection = (u, v, target) => {
+  const phi = (u - 0.5) * Math.PI * 2;
+  const elevation = (0.5 - v) * Math.PI;
+  return target.set(
+    Math.cos(phi) * Math.cos(elevation),
+    Math.sin(elevation),
+    Math.sin(phi) * Math.cos(elevation),
+  );
+};
+
+/**
+ * Find the dominant light source (sun, window, softbox) of an equirect texture.
+ * The direction is in the texture's own frame, i.e. before any HDRI rotation.
+ * @param {THREE.Texture} texture - Loaded equirect texture
+ * @returns {{ direction: THREE.Vector3, color: THREE.Color, dominance: number } | null}
+ *   dominance is the share of the sphere's light that comes from the region (0-1)
+ */
+export const extractHdriSun = (texture) => {
+  const samples = sampleEquirect(texture, SUN_SAMPLE_WIDTH);
+  if (!samples) return null;
+  const { width, height, data } = samples;
+
+  let peakIndex = -1;
+  let peakLuminance = 0;
+  let totalEnergy = 0;
+  for (let i = 0; i < width * height; i += 1) {
+    const lum = luminance(data[i * 3], data[i * 3 + 1], data[i * 3 + 2]);
+    const weight = Math.sin(((Math.floor(i / width) + 0.5) / height) * Math.PI);
+    totalEnergy += lum * weight;
+    if (lum > peakLuminance) {
+      peakLuminance = lum;
+      peakIndex = i;
+    }
+  }
+  if (peakIndex < 0 || !totalEnergy) return null;
+
+  const peakDirection = sampleDirection(
+    ((peakIndex % width) + 0.5) / width,
+    (Math.floor(peakIndex / width) + 0.5) / height,
+    new THREE.Vector3(),
+  );
+  const minDot = Math.cos(SUN_RADIUS);
+  const direction = new THREE.Vector3();
+  const sampleDir = new THREE.Vector3();
+  const color = [0, 0, 0];
+  let regionEnergy = 0;
+
+  // Energy-weighted centroid of the bright pixels around the peak
+  for (let y = 0; y < height; y += 1) {
+    const v = (y + 0.5) / height;
+    const weight = Math.sin(v * Math.PI);
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 3;
+      const lum = luminance(data[index], data[index + 1], data[index + 2]);
+      if (lum < peakLuminance * SUN_THRESHOLD) continue;
+      sampleDirection((x + 0.5) / width, v, sampleDir);
+      if (sampleDir.dot(peakDirection) < minDot) continue;
+      const energy = lum * weight;
+      direction.addScaledVector(sampleDir, energy);
+      color[0] += data[index] * weight;
+      color[1] += data[index + 1] * weight;
+      color[2] += data[index + 2] * weight;
+      regionEnergy += energy;
+    }
+  }
+  if (direction.lengthSq() === 0) direction.copy(peakDirection);
+
+  const maxChannel = Math.max(...color, 1e-6);
+  return {
+    direction: direction.normalize(),
+    color: new THREE.Color(...color.map((value) => value / maxChannel)),
+    dominance: THREE.MathUtils.clamp(regionEnergy / totalEnergy, 0, 1),
+  };
+};
@@ -1,3 +1,4 @@
+import * as THREE from 'three';
 import { LensFlareEffect } from '../LensFlareEffect.js';
 
 /**
@@ -13,6 +14,9 @@ export class LensFlareController {
     this.lensFlareEnabled = false;
     this.hdriEnabled = false;
     this.modelRoot = null;
+    this.rotation = 0;
+    this.height = 15;
+    this.anchorDirection = null;
   }
 
   /**
@@ -32,10 +36,13 @@ export class LensFlareController {
       Math.max(0, state?.height ?? defaults?.height ?? 15),
     );
 
+    this.rotation = state.rotation ?? 0;
+    this.height = safeHeight;
+
     this.lensFlare = new LensFlareEffect({
       enabled: this.lensFlareEnabled && this.hdriEnabled,
-      rotation: state.rotation ?? 0,
-      height: safeHeight,
+      rotation: this.rotation,
+      height: this.height,
       color: state.color ?? defaults?.color ?? '#d28756',
       quality: state.quality ?? 'maximum',
     });
@@ -83,9 +90,8 @@ export class LensFlareController {
    * @param {number} value - Rotation value in degrees
    */
   setRotation(value) {
-    if (this.lensFlare) {
-      this.lensFlare.setRotation(value ?? 0);
-    }
+    this.rotation = value ?? 0;
+    this.updateAnchor();
   }
 
   /**
@@ -93,10 +99,35 @@ export class LensFlareController {
    * @param {number} value - Height value (will be clamped to 0-90)
    */
   setHeight(value) {
-    if (this.lensFlare) {
-      const clamped = Math.max(0, Math.min(90, value ?? 0));
-      this.lensFlare.setHeight(clamped);
+    this.height = Math.max(0, Math.min(90, value ?? 0));
+    this.updateAnchor();
+  }
+
+  /**
+   * Anchor the flare to a world-space direction (e.g. the HDRI sun). While set,
+   * it overrides the manual rotation/height; pass null to return to them.
+   * @param {THREE.Vector3|null} direction - Direction towards the light source
+   */
+  setAnchorDirection(direction) {
+    this.anchorDirection = direction && direction.lengthSq() > 0
+      ? direction.clone().normalize()
+      : null;
+    this.updateAnchor();
+  }
+
+  updateAnchor() {
+    if (!this.lensFlare) return;
+    if (this.anchorDirection) {
+      // Inverse of LensFlareEffect.updateAnchorPosition: azimuth 0 looks down -Z
+      const { x, y, z } = this.anchorDirection;
+      this.lensFlare.setRotation(THREE.MathUtils.radToDeg(Math.atan2(-x, -z)));
+      this.lensFlare.setHeight(
+        Math.max(0, THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(y, -1, 1)))),
+      );
+      return;
     }
+    this.lensFlare.setRotation(this.rotation);
+    this.lensFlare.setHeight(this.height);
   }
 
   /**
@@ -111,7 +142,7 @@ export class LensFlareController {
 
   /**
    * Set the quality mode of the lens flare
-   * @param {string} mode - Quality mode ('low', 'medium', 'high', 'maximum')
+   * @param {string} mode - Quality mode ('maximum' or 'optimized')
    */
   setQuality(mode) {
     if (this.lensFlare && mode) {
@@ -119,6 +150,20 @@ export class LensFlareController {
     }
   }
 
+  /**
+   * Drive the flare animation from a fixed clock (offline rendering)
+   * @param {number|null} elapsed - Seconds since the render started, or null for real time
+   * @param {number} delta - Seconds since the previous frame
+   */
+  setFixedTime(elapsed, delta = 0) {
+    this.lensFlare?.setFixedTime(elapsed, delta);
+  }
+
+  // Keep the flare identical across the tiles of one still export
+  freezeTime() {
+    this.lensFlare?.freezeTime();
+  }
+
   /**
    * Apply a state snapshot (used when loading saved state)
    * @param {Object} state - Full state object
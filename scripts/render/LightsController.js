@@ -10,6 +10,7 @@ export class LightsController {
     this.modelBounds = null;
     this.showIndicators = false;
     this.lightIndicators = null;
+    this.keyDirection = null; // Set while the key light is aligned to the HDRI sun
 
     this.lights = {
       key: new THREE.DirectionalLight('#ffffff', 4),
@@ -110,6 +111,7 @@ export class LightsController {
     const cos = Math.cos(radians);
     const sin = Math.sin(radians);
     ['key', 'fill', 'rim'].forEach((id) => {
+      if (id === 'key' && this.keyDirection) return;
       const base = this.basePositions[id];
       const light = this.lights[id];
       if (!base || !light) return;
@@ -121,6 +123,23 @@ export class LightsController {
     return normalized;
   }
 
+  /**
+   * Point the key light (and its shadow) along a world-space direction,
+   * or hand it back to the rotation rig when null
+   * @param {THREE.Vector3|null} direction - Direction towards the light
+   */
+  setKeyDirection(direction) {
+    if (!direction || direction.lengthSq() === 0) {
+      this.keyDirection = null;
+      this.setRotation(this.rotation);
+      return;
+    }
+    this.keyDirection = direction.clone().normalize();
+    const distance = this.basePositions.key.length();
+    this.lights.key.position.copy(this.keyDirection).multiplyScalar(distance);
+    this.updateIndicators();
+  }
+
   setIndicatorsVisible(enabled) {
     this.showIndicators = !!enabled;
     if (this.showIndicators) {
@@ -7,7 +7,208 @@ import {
   WIREFRAME_OPACITY_OVERLAY,
   CLAY_DEFAULT_ROUGHNESS,
   CLAY_DEFAULT_METALNESS,
+  CHANNEL_SHADINGS,
+  UV_CHECKER_CELLS,
 } from '../constants.js';
+import { isVisibleInTree } from '../utils/sceneTree.js';
+
+// Which texel component each packed PBR map keeps its data in (glTF layout)
+const DATA_CHANNELS = {
+  roughness: { map: 'roughnessMap', mask: new THREE.Vector4(0, 1, 0, 0) },
+  metalness: { map: 'metalnessMap', mask: new THREE.Vector4(0, 0, 1, 0) },
+  occlusion: { map: 'aoMap', mask: new THREE.Vector4(1, 0, 0, 0) },
+};
+
+// Texture slots listed by the material inspector, in display order
+const MATERIAL_MAP_SLOTS = {
+  map: 'Base Color',
+  normalMap: 'Normal',
+  roughnessMap: 'Roughness',
+  metalnessMap: 'Metalness',
+  aoMap: 'AO',
+  emissiveMap: 'Emissive',
+  alphaMap: 'Alpha',
+  transmissionMap: 'Transmission',
+  bumpMap: 'Bump',
+  displacementMap: 'Displacement',
+  specularMap: 'Specular',
+  lightMap: 'Light',
+};
+
+// Editable in the inspector wherever the material type has the property
+const EDITABLE_MATERIAL_PROPERTIES = [
+  'color',
+  'roughness',
+  'metalness',
+  'emissive',
+  'emissiveIntensity',
+  'transmission',
+];
+
+// File name (if the image still has a meaningful URL) and size
+const describeTexture = (texture) => {
+  const { image } = texture;
+  const src = typeof image?.src === 'string' && !/^(data|blob):/.test(image.src) ? image.src : '';
+  const fileName = src ? decodeURIComponent(src.split('?')[0].split('/').pop()) : '';
+  const size = image?.width ? `${image.width}×${image.height}` : '';
+  return [texture.name || fileName, size].filter(Boolean).join(' · ');
+};
+
+// The environment blur raises roughness on the live material; the value the
+// asset asked for is kept in userData.originalRoughness
+const readMaterialProperty = (material, key) =>
+  key === 'roughness' ? material.userData.originalRoughness ?? material.roughness : material[key];
+
+const writeMaterialProperty = (material, key, value) => {
+  if (material[key]?.isColor) {
+    material[key].set(value);
+    return;
+  }
+  material[key] = value;
+  if (key === 'roughness' && material.userData.originalRoughness !== undefined) {
+    material.userData.originalRoughness = value;
+  }
+};
+
+const snapshotMaterial = (material) => {
+  const snapshot = {};
+  EDITABLE_MATERIAL_PROPERTIES.forEach((key) => {
+    const value = readMaterialProperty(material, key);
+    if (value?.isColor) {
+      snapshot[key] = value.clone();
+    } else if (typeof value === 'number') {
+      snapshot[key] = value;
+    }
+  });
+  return snapshot;
+};
+
+let uvCheckerTexture = null;
+
+// Cells brighten red along U and green along V, so flips and rotations show
+const getUvCheckerTexture = () => {
+  if (uvCheckerTexture) return uvCheckerTexture;
+  const size = 512;
+  const cell = size / UV_CHECKER_CELLS;
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const cx = Math.floor(x / cell);
+      const cy = Math.floor(y / cell);
+      const i = (y * size + x) * 4;
+      if ((cx + cy) % 2 === 0) {
+        data[i] = 60 + (cx / (UV_CHECKER_CELLS - 1)) * 195;
+        data[i + 1] = 60 + (cy / (UV_CHECKER_CELLS - 1)) * 195;
+        data[i + 2] = 160;
+      } else {
+        data[i] = 40;
+        data[i + 1] = 40;
+        data[i + 2] = 40;
+      }
+      data[i + 3] = 255;
+    }
+  }
+  uvCheckerTexture = new THREE.DataTexture(data, size, size);
+  uvCheckerTexture.colorSpace = THREE.SRGBColorSpace;
+  uvCheckerTexture.wrapS = THREE.RepeatWrapping;
+  uvCheckerTexture.wrapT = THREE.RepeatWrapping;
+  uvCheckerTexture.magFilter = THREE.NearestFilter;
+  uvCheckerTexture.minFilter = THREE.LinearMipmapLinearFilter;
+  uvCheckerTexture.generateMipmaps = true;
+  uvCheckerTexture.needsUpdate = true;
+  return uvCheckerTexture;
+};
+
+// Grey scalar view of one map component times the material factor. Output
+// skips the sRGB encode so the grey level on screen is the stored value.
+const createDataChannelMaterial = (channel, mat) => {
+  const { map, mask } = DATA_CHANNELS[channel];
+  const texture = mat?.[map] ?? null;
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    side: mat?.side ?? THREE.FrontSide,
+    toneMapped: false,
+  });
+  const factor = {
+    roughness: mat?.roughness ?? 1,
+    metalness: mat?.metalness ?? 0,
+    occlusion: 1,
+  }[channel];
+  material.color.setScalar(factor);
+  // AO intensity blends from no occlusion towards the map
+  const strength = channel === 'occlusion' ? mat?.aoMapIntensity ?? 1 : 1;
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.channelMask = { value: mask };
+    shader.uniforms.channelStrength = { value: strength };
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        '#include <common>',
+        `
+        #include <common>
+        uniform vec4 channelMask;
+        uniform float channelStrength;
+      `,
+      )
+      .replace(
+        '#include <map_fragment>',
+        `
+        #ifdef USE_MAP
+          float channelValue = dot( texture2D( map, vMapUv ), channelMask );
+          diffuseColor.rgb *= mix( 1.0, channelValue, channelStrength );
+        #endif
+      `,
+      )
+      .replace('#include <colorspace_fragment>', '');
+  };
+  return material;
+};
+
+const createChannelMaterial = (mode, mat) => {
+  const side = mat?.side ?? THREE.FrontSide;
+  if (mode === 'albedo') {
+    return new THREE.MeshBasicMaterial({
+      map: mat?.map ?? null,
+      color: mat?.color ? mat.color.clone() : new THREE.Color('#ffffff'),
+      vertexColors: mat?.vertexColors ?? false,
+      alphaMap: mat?.alphaMap ?? null,
+      alphaTest: mat?.alphaTest ?? 0,
+      transparent: mat?.transparent ?? false,
+      opacity: mat?.opacity ?? 1,
+      side,
+      toneMapped: false,
+    });
+  }
+  if (mode === 'normals') {
+    // View-space normals after the normal map, packed to RGB
+    const normals = new THREE.MeshNormalMaterial({
+      normalMap: mat?.normalMap ?? null,
+      normalMapType: mat?.normalMapType ?? THREE.TangentSpaceNormalMap,
+      flatShading: mat?.flatShading ?? false,
+      side,
+    });
+    if (mat?.normalScale) {
+      normals.normalScale.copy(mat.normalScale);
+    }
+    return normals;
+  }
+  if (mode === 'emissive') {
+    const emissive = mat?.emissive ? mat.emissive.clone() : new THREE.Color(0x000000);
+    return new THREE.MeshBasicMaterial({
+      map: mat?.emissiveMap ?? null,
+      color: emissive.multiplyScalar(mat?.emissiveIntensity ?? 1),
+      side,
+      toneMapped: false,
+    });
+  }
+  if (mode === 'uv') {
+    return new THREE.MeshBasicMaterial({
+      map: getUvCheckerTexture(),
+      side,
+      toneMapped: false,
+    });
+  }
+  return createDataChannelMaterial(mode, mat);
+};
 
 export class MaterialController {
   constructor({
@@ -24,6 +225,8 @@ export class MaterialController {
     this.currentModel = null;
     this.currentShading = null;
     this.originalMaterials = new WeakMap();
+    // Material uuid → { material, meshes, index, snapshot } for the inspector
+    this.materialEntries = new Map();
     this.wireframeOverlay = null;
     this.unlitMode = false;
 
@@ -31,6 +234,7 @@ export class MaterialController {
     this.claySettings = {};
     this.fresnelSettings = {};
     this.wireframeSettings = {};
+    this.pointSize = 2;
   }
 
   setModel(model, shading, initialState = {}) {
@@ -47,12 +251,15 @@ export class MaterialController {
     };
     this.originalMaterials = new WeakMap();
     this.prepareMesh(model);
+    this.indexMaterials(model);
+    this.setPointSize(initialState.pointSize ?? this.pointSize);
     // Note: Fresnel will be applied by setShading, which is called after setModel
   }
 
   prepareMesh(object) {
     object.traverse((child) => {
-      if (child.isMesh) {
+      // Splats keep their own material in every shading mode
+      if (child.isMesh && !child.isSplatMesh) {
         child.castShadow = true;
         child.receiveShadow = true;
         if (!this.originalMaterials.has(child)) {
@@ -65,117 +272,9 @@ export class MaterialController {
   setShading(mode) {
     if (!this.currentModel) return;
     this.currentShading = mode;
-    this.currentModel.traverse((child) => {
-      if (!child.isMesh) return;
-      const original = this.originalMaterials.get(child);
-      if (!original) return;
+    this.currentModel.traverse((child) => this.applyShadingMaterial(child, mode));
 
-      const disposeIfTransient = () => {
-        const material = child.material;
-        const sameReference =
-          material === original ||
-          (Array.isArray(material) &&
-            Array.isArray(original) &&
-            material.length === original.length &&
-            material.every((mat, idx) => mat === original[idx]));
-        if (sameReference) return;
-        if (Array.isArray(material)) {
-          material.forEach((mat) => mat?.dispose?.());
-        } else {
-          material?.dispose?.();
-        }
-      };
-
-      const applyMaterial = (material) => {
-        disposeIfTransient();
-        child.material = material;
-      };
-
-      const buildArray = (factory) => {
-        if (Array.isArray(original)) {
-          return original.map((mat) => factory(mat));
-        }
-        return factory(original);
-      };
-
-      if (mode === 'wireframe') {
-        const { color } = this.wireframeSettings;
-        const createWire = (mat) => {
-          const base = mat?.clone
-            ? mat.clone()
-            : new THREE.MeshStandardMaterial();
-          base.wireframe = true;
-          base.color = new THREE.Color(color);
-          return base;
-        };
-        applyMaterial(buildArray(createWire));
-      } else if (mode === 'clay') {
-        const { color, roughness, specular } = this.claySettings;
-        const createClay = (originalMat) => {
-          const clay = new THREE.MeshStandardMaterial({
-            color: new THREE.Color(color),
-            roughness,
-            metalness: specular,
-            side: THREE.DoubleSide,
-          });
-          // Preserve normal map from original material only if enabled
-          const normalMapEnabled =
-            this.stateStore.getState().clay?.normalMap !== false;
-          if (normalMapEnabled && originalMat?.normalMap) {
-            clay.normalMap = originalMat.normalMap;
-            clay.normalMapType =
-              originalMat.normalMapType ?? THREE.TangentSpaceNormalMap;
-            if (originalMat.normalScale) {
-              clay.normalScale = originalMat.normalScale.clone();
-            }
-          }
-          return clay;
-        };
-        applyMaterial(buildArray(createClay));
-      } else if (mode === 'textures') {
-        const createTextureMaterial = (mat) => {
-          const standard = new THREE.MeshStandardMaterial({
-            map: mat?.map ?? null,
-            color: mat?.color
-              ? mat.color.clone()
-              : new THREE.Color('#ffffff'),
-            roughness: mat?.roughness ?? 0.8,
-            metalness: mat?.metalness ?? 0,
-            normalMap: mat?.normalMap ?? null,
-            aoMap: mat?.aoMap ?? null,
-            emissive: mat?.emissive
-              ? mat.emissive.clone()
-              : new THREE.Color(0x000000),
-            emissiveIntensity: mat?.emissiveIntensity ?? 1,
-            transparent: mat?.transparent ?? false,
-            opacity: mat?.opacity ?? 1,
-            side: mat?.side ?? THREE.FrontSide,
-          });
-          if (mat?.aoMap) {
-            standard.aoMapIntensity = mat.aoMapIntensity ?? 1;
-          }
-          standard.wireframe = false;
-          return standard;
-        };
-        applyMaterial(buildArray(createTextureMaterial));
-      } else {
-        // Restore original materials when switching away from wireframe/clay/textures
-        disposeIfTransient();
-        child.material = original;
-        // Ensure wireframe is off
-        if (Array.isArray(child.material)) {
-          child.material.forEach((mat) => {
-            if (mat) {
-              mat.wireframe = false;
-            }
-          });
-        } else if (child.material) {
-          child.material.wireframe = false;
-        }
-      }
-    });
-
-    this.unlitMode = mode === 'textures';
+    this.unlitMode = mode === 'textures' || CHANNEL_SHADINGS.includes(mode);
     this.updateWireframeOverlay();
     this.applyFresnelToModel(this.currentModel);
 
@@ -187,6 +286,119 @@ export class MaterialController {
     }
   }
 
+  // Swap one mesh to its material for a shading mode, built from the original
+  applyShadingMaterial(child, mode) {
+    if (!child.isMesh) return;
+    const original = this.originalMaterials.get(child);
+    if (!original) return;
+
+    const disposeIfTransient = () => {
+      const material = child.material;
+      const sameReference =
+        material === original ||
+        (Array.isArray(material) &&
+          Array.isArray(original) &&
+          material.length === original.length &&
+          material.every((mat, idx) => mat === original[idx]));
+      if (sameReference) return;
+      if (Array.isArray(material)) {
+        material.forEach((mat) => mat?.dispose?.());
+      } else {
+        material?.dispose?.();
+      }
+    };
+
+    const applyMaterial = (material) => {
+      disposeIfTransient();
+      child.material = material;
+    };
+
+    const buildArray = (factory) => {
+      if (Array.isArray(original)) {
+        return original.map((mat) => factory(mat));
+      }
+      return factory(original);
+    };
+
+    if (mode === 'wireframe') {
+      const { color } = this.wireframeSettings;
+      const createWire = (mat) => {
+        const base = mat?.clone
+          ? mat.clone()
+          : new THREE.MeshStandardMaterial();
+        base.wireframe = true;
+        base.color = new THREE.Color(color);
+        return base;
+      };
+      applyMaterial(buildArray(createWire));
+    } else if (mode === 'clay') {
+      const { color, roughness, specular } = this.claySettings;
+      const createClay = (originalMat) => {
+        const clay = new THREE.MeshStandardMaterial({
+          color: new THREE.Color(color),
+          roughness,
+          metalness: specular,
+          side: THREE.DoubleSide,
+        });
+        // Preserve normal map from original material only if enabled
+        const normalMapEnabled =
+          this.stateStore.getState().clay?.normalMap !== false;
+        if (normalMapEnabled && originalMat?.normalMap) {
+          clay.normalMap = originalMat.normalMap;
+          clay.normalMapType =
+            originalMat.normalMapType ?? THREE.TangentSpaceNormalMap;
+          if (originalMat.normalScale) {
+            clay.normalScale = originalMat.normalScale.clone();
+          }
+        }
+        return clay;
+      };
+      applyMaterial(buildArray(createClay));
+    } else if (mode === 'textures') {
+      const createTextureMaterial = (mat) => {
+        const standard = new THREE.MeshStandardMaterial({
+          map: mat?.map ?? null,
+          color: mat?.color
+            ? mat.color.clone()
+            : new THREE.Color('#ffffff'),
+          roughness: mat?.roughness ?? 0.8,
+          metalness: mat?.metalness ?? 0,
+          normalMap: mat?.normalMap ?? null,
+          aoMap: mat?.aoMap ?? null,
+          emissive: mat?.emissive
+            ? mat.emissive.clone()
+            : new THREE.Color(0x000000),
+          emissiveIntensity: mat?.emissiveIntensity ?? 1,
+          transparent: mat?.transparent ?? false,
+          opacity: mat?.opacity ?? 1,
+          side: mat?.side ?? THREE.FrontSide,
+        });
+        if (mat?.aoMap) {
+          standard.aoMapIntensity = mat.aoMapIntensity ?? 1;
+        }
+        standard.wireframe = false;
+        return standard;
+      };
+      applyMaterial(buildArray(createTextureMaterial));
+    } else if (CHANNEL_SHADINGS.includes(mode)) {
+      applyMaterial(buildArray((mat) => createChannelMaterial(mode, mat)));
+    } else {
+      // Restore original materials when switching away from wireframe/clay/textures
+      disposeIfTransient();
+      child.material = original;
+      // Ensure wireframe is off
+      if (Array.isArray(child.material)) {
+        child.material.forEach((mat) => {
+          if (mat) {
+            mat.wireframe = false;
+          }
+        });
+      } else if (child.material) {
+        child.material.wireframe = false;
+      }
+    }
+  }
+
   setClaySettings(patch) {
     this.claySettings = { ...this.claySettings, ...patch };
     if (this.stateStore.getState().shading === 'clay') {
@@ -332,7 +544,7 @@ export class MaterialController {
 
       // Create wireframe meshes that follow the model
       this.currentModel.traverse((child) => {
-        if (child.isMesh && child.geometry) {
+        if (child.isMesh && !child.isSplatMesh && child.geometry) {
           let geometry = child.geometry;
           let isCloned = false;
 
@@ -398,6 +610,8 @@ export class MaterialController {
         wireMesh.matrixAutoUpdate = true;
         wireMesh.updateMatrix();
         wireMesh.matrixAutoUpdate = false;
+        // Parts hidden in the outliner hide their wires too
+        wireMesh.visible = isVisibleInTree(original);
       }
     });
   }
@@ -674,11 +888,155 @@ export class MaterialController {
     }
   }
 
+  // Point clouds (PLY without faces) draw at a fixed size in screen pixels
+  setPointSize(size) {
+    this.pointSize = size;
+    this.currentModel?.traverse((child) => {
+      if (!child.isPoints || !child.material) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach((material) => {
+        if (material.isPointsMaterial) material.size = size;
+      });
+    });
+  }
+
+  /**
+   * Shading modes that can't change how the current model looks. Gaussian
+   * splats have no surface for clay, wireframe or channel views and render
+   * as loaded.
+   * @returns {string[]}
+   */
+  getUnsupportedShadings() {
+    return this.hasSplats() ? ['clay', 'wireframe', ...CHANNEL_SHADINGS] : [];
+  }
+
+  hasSplats() {
+    let found = false;
+    this.currentModel?.traverse((child) => {
+      if (child.isSplatMesh) found = true;
+    });
+    return found;
+  }
+
+  hasPoints() {
+    let found = false;
+    this.currentModel?.traverse((child) => {
+      if (child.isPoints) found = true;
+    });
+    return found;
+  }
+
+  // Collect each unique original material once, with the meshes that use it
+  indexMaterials(model) {
+    this.materialEntries = new Map();
+    model.traverse((child) => {
+      const original = this.originalMaterials.get(child);
+      if (!original) return;
+      (Array.isArray(original) ? original : [original]).forEach((material) => {
+        if (!material) return;
+        let entry = this.materialEntries.get(material.uuid);
+        if (!entry) {
+          entry = {
+            material,
+            meshes: [],
+            index: this.materialEntries.size,
+            snapshot: snapshotMaterial(material),
+          };
+          this.materialEntries.set(material.uuid, entry);
+        }
+        if (!entry.meshes.includes(child)) {
+          entry.meshes.push(child);
+        }
+      });
+    });
+  }
+
+  /**
+   * Every unique material of the loaded model, as plain data for the inspector
+   * @returns {Array<{ id, name, type, meshes, maps, values }>}
+   */
+  getMaterialList() {
+    return Array.from(this.materialEntries.values(), (entry) => this.describeMaterial(entry));
+  }
+
+  // The name from the file, or the inspector's numbering for unnamed ones
+  getMaterialLabel(material) {
+    const entry = this.materialEntries.get(material.uuid);
+    return material.name || (entry ? `Material ${entry.index + 1}` : material.type);
+  }
+
+  describeMaterial({ material, meshes }) {
+    const values = {};
+    EDITABLE_MATERIAL_PROPERTIES.forEach((key) => {
+      const value = readMaterialProperty(material, key);
+      if (value?.isColor) {
+        values[key] = `#${value.getHexString()}`;
+      } else if (typeof value === 'number') {
+        values[key] = value;
+      }
+    });
+    return {
+      id: material.uuid,
+      name: this.getMaterialLabel(material),
+      type: material.type.replace(/^Mesh|Material$/g, ''),
+      meshes: meshes.map((mesh) => ({
+        id: mesh.uuid,
+        name: mesh.name || mesh.parent?.name || 'Unnamed mesh',
+      })),
+      maps: Object.entries(MATERIAL_MAP_SLOTS)
+        .filter(([slot]) => material[slot]?.isTexture)
+        .map(([slot, label]) => ({ slot, label, detail: describeTexture(material[slot]) })),
+      values,
+    };
+  }
+
+  /**
+   * Live edit of an original material
+   * @param {string} id - Material uuid from getMaterialList()
+   * @param {string} key - One of color, roughness, metalness, emissive, emissiveIntensity, transmission
+   * @param {string|number} value - Hex string for colours
+   * @returns {boolean} Whether anything changed
+   */
+  setMaterialProperty(id, key, value) {
+    const entry = this.materialEntries.get(id);
+    if (!entry || !EDITABLE_MATERIAL_PROPERTIES.includes(key)) return false;
+    if (entry.material[key] === undefined) return false;
+    writeMaterialProperty(entry.material, key, value);
+    this.refreshDerivedMaterials(entry.meshes);
+    return true;
+  }
+
+  /**
+   * @param {string} id - Material uuid
+   * @returns {Object|null} The material's description with its loaded values back
+   */
+  resetMaterial(id) {
+    const entry = this.materialEntries.get(id);
+    if (!entry) return null;
+    Object.entries(entry.snapshot).forEach(([key, value]) => {
+      writeMaterialProperty(entry.material, key, value);
+    });
+    this.refreshDerivedMaterials(entry.meshes);
+    return this.describeMaterial(entry);
+  }
+
+  // Modes that copy from the originals (unlit, wireframe, channels) rebuild
+  // to pick up edits; shaded shows the originals and clay ignores them
+  refreshDerivedMaterials(meshes) {
+    const mode = this.currentShading;
+    if (!mode || mode === 'shaded' || mode === 'clay') return;
+    meshes.forEach((mesh) => {
+      this.applyShadingMaterial(mesh, mode);
+      this.applyFresnelToModel(mesh);
+    });
+  }
+
   clear() {
     this.clearWireframeOverlay();
     this.currentModel = null;
     this.currentShading = null;
     this.originalMaterials = new WeakMap();
+    this.materialEntries = new Map();
   }
 
   getClaySettings() {
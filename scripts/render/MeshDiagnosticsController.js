@@ -3,7 +3,28 @@ import { VertexNormalsHelper } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/
 import {
   NORMALS_HELPER_SIZE,
   NORMALS_HELPER_COLOR,
+  QUALITY_CHECK_COLORS,
+  QUALITY_REPORT_SAMPLE_LIMIT,
 } from '../constants.js';
+import { countTriangles, countVertices } from '../utils/geometryStats.js';
+import { analyzeGeometry } from '../utils/meshQuality.js';
+import { isVisibleInTree } from '../utils/sceneTree.js';
+
+const QUALITY_CHECKS = Object.keys(QUALITY_CHECK_COLORS);
+// Issues listed as vertex index pairs; the other checks list faces or vertices
+const EDGE_CHECKS = ['nonManifoldEdges', 'openEdges', 'inconsistentEdges'];
+const FACE_CHECKS = ['flippedFaces', 'uvOverlapFaces'];
+
+const countIssues = (result, check) =>
+  EDGE_CHECKS.includes(check) ? result[check].length / 2 : result[check].length;
+
+const getNodePath = (node, root) => {
+  const names = [];
+  for (let current = node; current && current !== root.parent; current = current.parent) {
+    names.unshift(current.name || current.type);
+  }
+  return names.join('/');
+};
 
 export class MeshDiagnosticsController {
   constructor({ scene, modelRoot, ui }) {
@@ -16,17 +37,29 @@ export class MeshDiagnosticsController {
     this.lastBoneToastTime = 0;
     this.currentModel = null;
     this.currentShading = null;
+
+    this.qualityResults = [];
+    this.qualityAbort = null;
+    this.qualityOverlays = [];
+    this.qualityGroups = new Map();
+    this.qualityMaterials = {};
+    this.qualityOverlaysShown = true;
+    this.qualityVisibility = Object.fromEntries(QUALITY_CHECKS.map((check) => [check, true]));
   }
 
   setModel(model, shading) {
+    // Shading changes hand the same model back; its analysis still holds
+    if (model !== this.currentModel) this.clearQuality();
     this.currentModel = model;
     this.currentShading = shading;
-    this.clearAll();
+    this.clearNormals();
+    this.clearBoneHelpers();
   }
 
   clearAll() {
     this.clearNormals();
     this.clearBoneHelpers();
+    this.clearQuality();
   }
 
   toggleNormals(enabled) {
@@ -34,7 +67,7 @@ export class MeshDiagnosticsController {
     if (!enabled || !this.currentModel) return;
 
     this.currentModel.traverse((child) => {
-      if (child.isMesh) {
+      if (child.isMesh && !child.isSplatMesh) {
         const helper = new VertexNormalsHelper(
           child,
           NORMALS_HELPER_SIZE,
@@ -86,33 +119,263 @@ export class MeshDiagnosticsController {
     this.boneHelpers = [];
   }
 
+  /**
+   * Run the mesh quality checks and draw what they find. The checks yield
+   * while they run, so the panel shows progress and the run can be cancelled.
+   * @param {THREE.Mesh[]} meshes
+   * @returns {Promise<Object|null>} The summary, or null when cancelled or
+   *   the model was cleared before the analysis finished
+   */
+  async analyzeQuality(meshes, { onProgress } = {}) {
+    this.clearQuality();
+    const controller = new AbortController();
+    this.qualityAbort = controller;
+    // Progress is shared out by triangle count, the bulk of the work
+    const weights = meshes.map((mesh) => Math.max(1, countTriangles(mesh.geometry)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let done = 0;
+    const results = [];
+    for (const [index, mesh] of meshes.entries()) {
+      onProgress?.(done / total);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (controller.signal.aborted) return null;
+      const result = await analyzeGeometry(mesh.geometry, {
+        signal: controller.signal,
+        onProgress: (fraction) => onProgress?.((done + fraction * weights[index]) / total),
+      });
+      if (!result) return null;
+      results.push({ mesh, result });
+      done += weights[index];
+    }
+    if (this.qualityAbort !== controller) return null;
+    this.qualityAbort = null;
+    this.qualityResults = results;
+    this.buildQualityOverlays();
+    return this.getQualitySummary();
+  }
+
+  /**
+   * @returns {Object|null} { meshes, issues } where issues has a count per
+   *   check plus missingUvs, the number of meshes without texture coordinates
+   */
+  getQualitySummary() {
+    if (!this.qualityResults.length) return null;
+    const issues = Object.fromEntries(QUALITY_CHECKS.map((check) => [check, 0]));
+    issues.missingUvs = 0;
+    this.qualityResults.forEach(({ result }) => {
+      QUALITY_CHECKS.forEach((check) => {
+        issues[check] += countIssues(result, check);
+      });
+      if (!result.hasUvs) issues.missingUvs += 1;
+    });
+    return { meshes: this.qualityResults.length, issues };
+  }
+
+  /**
+   * Per-mesh results for automated asset QA. Edges are vertex index pairs and
+   * faces triangle indices into each mesh's geometry, capped per check.
+   */
+  getQualityReport() {
+    const summary = this.getQualitySummary();
+    if (!summary) return null;
+    return {
+      summary,
+      meshes: this.qualityResults.map(({ mesh, result }) => {
+        const issues = Object.fromEntries(
+          QUALITY_CHECKS.map((check) => [check, countIssues(result, check)]),
+        );
+        issues.missingUvs = !result.hasUvs;
+        const samples = {};
+        QUALITY_CHECKS.forEach((check) => {
+          if (!result[check].length) return;
+          if (EDGE_CHECKS.includes(check)) {
+            const pairs = result[check].slice(0, QUALITY_REPORT_SAMPLE_LIMIT * 2);
+            samples[check] = pairs.filter((_, i) => i % 2 === 0).map((a, i) => [a, pairs[i * 2 + 1]]);
+          } else {
+            samples[check] = result[check].slice(0, QUALITY_REPORT_SAMPLE_LIMIT);
+          }
+        });
+        return {
+          name: mesh.name || mesh.parent?.name || 'Unnamed mesh',
+          path: getNodePath(mesh, this.currentModel),
+          triangles: result.triangles,
+          vertices: result.vertices,
+          indexed: result.indexed,
+          issues,
+          samples,
+        };
+      }),
+    };
+  }
+
+  setQualityOverlayVisible(check, visible) {
+    this.qualityVisibility[check] = visible;
+    const group = this.qualityGroups.get(check);
+    if (group) group.visible = visible && this.qualityOverlaysShown;
+  }
+
+  // Exports hide every overlay without touching the per-check toggles
+  setQualityOverlaysShown(shown) {
+    this.qualityOverlaysShown = shown;
+    this.qualityGroups.forEach((group, check) => {
+      group.visible = shown && this.qualityVisibility[check];
+    });
+  }
+
+  // One group per check so each can be toggled; overlays sit in the scene,
+  // outside the model, and follow their mesh in update()
+  buildQualityOverlays() {
+    QUALITY_CHECKS.forEach((check) => {
+      const group = new THREE.Group();
+      group.name = `quality:${check}`;
+      group.visible = this.qualityVisibility[check] && this.qualityOverlaysShown;
+      this.scene.add(group);
+      this.qualityGroups.set(check, group);
+    });
+    this.qualityMaterials = this.createQualityMaterials();
+
+    this.qualityResults.forEach(({ mesh, result }) => {
+      const { position } = mesh.geometry.attributes;
+      const { index } = mesh.geometry;
+      const cornerVertex = (corner) => (index ? index.getX(corner) : corner);
+      const pushVertex = (target, vertex) =>
+        target.push(position.getX(vertex), position.getY(vertex), position.getZ(vertex));
+
+      QUALITY_CHECKS.forEach((check) => {
+        if (!result[check].length) return;
+        const points = [];
+        if (EDGE_CHECKS.includes(check) || check === 'duplicateVertices') {
+          result[check].forEach((vertex) => pushVertex(points, vertex));
+        } else if (FACE_CHECKS.includes(check)) {
+          result[check].forEach((face) => {
+            for (let k = 0; k < 3; k += 1) pushVertex(points, cornerVertex(face * 3 + k));
+          });
+        } else {
+          // Degenerate faces have no area to tint; mark their centre
+          result[check].forEach((face) => {
+            const corners = [0, 1, 2].map((k) => cornerVertex(face * 3 + k));
+            ['getX', 'getY', 'getZ'].forEach((axis) => {
+              points.push(corners.reduce((sum, vertex) => sum + position[axis](vertex), 0) / 3);
+            });
+          });
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        let overlay;
+        if (EDGE_CHECKS.includes(check)) {
+          overlay = new THREE.LineSegments(geometry, this.qualityMaterials[check]);
+        } else if (FACE_CHECKS.includes(check)) {
+          overlay = new THREE.Mesh(geometry, this.qualityMaterials[check]);
+        } else {
+          overlay = new THREE.Points(geometry, this.qualityMaterials[check]);
+        }
+        overlay.matrixAutoUpdate = false;
+        overlay.renderOrder = 998;
+        overlay.userData.source = mesh;
+        this.qualityGroups.get(check).add(overlay);
+        this.qualityOverlays.push(overlay);
+      });
+    });
+    this.updateQualityOverlays();
+  }
+
+  createQualityMaterials() {
+    return Object.fromEntries(
+      QUALITY_CHECKS.map((check) => {
+        const color = QUALITY_CHECK_COLORS[check];
+        if (EDGE_CHECKS.includes(check)) {
+          // Problem edges show through the surface so none go unnoticed
+          return [check, new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })];
+        }
+        if (FACE_CHECKS.includes(check)) {
+          return [
+            check,
+            new THREE.MeshBasicMaterial({
+              color,
+              transparent: true,
+              opacity: 0.55,
+              side: THREE.DoubleSide,
+              depthWrite: false,
+              polygonOffset: true,
+              polygonOffsetFactor: -1,
+              polygonOffsetUnits: -1,
+            }),
+          ];
+        }
+        return [
+          check,
+          new THREE.PointsMaterial({
+            color,
+            size: 6,
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true,
+          }),
+        ];
+      }),
+    );
+  }
+
+  updateQualityOverlays() {
+    this.qualityOverlays.forEach((overlay) => {
+      const mesh = overlay.userData.source;
+      overlay.matrix.copy(mesh.matrixWorld);
+      overlay.matrixWorldNeedsUpdate = true;
+      overlay.visible = isVisibleInTree(mesh);
+    });
+  }
+
+  clearQuality() {
+    this.qualityOverlays.forEach((overlay) => overlay.geometry.dispose());
+    Object.values(this.qualityMaterials).forEach((material) => material.dispose());
+    this.qualityMaterials = {};
+    this.qualityGroups.forEach((group) => this.scene.remove(group));
+    this.qualityGroups.clear();
+    this.qualityOverlays = [];
+    this.qualityResults = [];
+    this.cancelQuality();
+  }
+
+  cancelQuality() {
+    this.qualityAbort?.abort();
+    this.qualityAbort = null;
+  }
+
   update(delta) {
     this.boneHelpers.forEach((helper) => helper.update?.());
+    this.updateQualityOverlays();
   }
 
   calculateStats(object, file, gltfMetadata, modelBounds) {
     const stats = {
       triangles: 0,
       vertices: 0,
+      points: 0,
       materials: new Set(),
       textures: new Set(),
     };
 
     object.traverse((child) => {
+      // Gaussian splats count as points
+      if (child.isSplatMesh) {
+        stats.points += child.splatCount;
+        stats.vertices += child.splatCount;
+        return;
+      }
+      if (child.isPoints) {
+        const count = child.geometry?.attributes.position?.count ?? 0;
+        stats.points += count;
+        stats.vertices += count;
+        if (child.material) stats.materials.add(child.material.uuid);
+        return;
+      }
       if (child.isMesh) {
         const geometry = child.geometry;
         if (!geometry) return;
 
-        const position = geometry.attributes.position;
-        if (geometry.index) {
-          stats.triangles += geometry.index.count / 3;
-        } else if (position) {
-          stats.triangles += position.count / 3;
-        }
-
-        if (position) {
-          stats.vertices += position.count;
-        }
+        stats.triangles += countTriangles(geometry);
+        stats.vertices += countVertices(geometry);
 
         const material = child.material;
         if (Array.isArray(material)) {
@@ -145,6 +408,7 @@ export class MeshDiagnosticsController {
     return {
       triangles: Math.round(stats.triangles),
       vertices: Math.round(stats.vertices),
+      points: stats.points,
       materials: stats.materials.size,
       textures: stats.textures.size,
       fileSize,
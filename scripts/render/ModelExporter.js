@@ -0,0 +1,440 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/exporters/STLExporter.js';
+import { USDZExporter } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/exporters/USDZExporter.js';
+import * as SkeletonUtils from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/utils/SkeletonUtils.js';
+import { isVisibleInTree } from '../utils/sceneTree.js';
+import { createZip } from '../utils/zip.js';
+
+export const EXPORT_FORMATS = {
+  glb: { label: 'GLB', extension: 'glb' },
+  obj: { label: 'OBJ + MTL', extension: 'zip' },
+  stl: { label: 'STL', extension: 'stl' },
+  usdz: { label: 'USDZ', extension: 'usdz' },
+};
+
+// Texture slots written to MTL; the rest are reported as lost
+const MTL_TEXTURE_SLOTS = [
+  ['map', 'map_Kd'],
+  ['normalMap', 'norm'],
+  ['emissiveMap', 'map_Ke'],
+  ['alphaMap', 'map_d'],
+];
+const TEXTURE_SLOTS = [
+  'map',
+  'normalMap',
+  'emissiveMap',
+  'alphaMap',
+  'roughnessMap',
+  'metalnessMap',
+  'aoMap',
+  'bumpMap',
+  'specularMap',
+];
+
+const hasGeometry = (node) => (node.isMesh || node.isLine || node.isPoints) && node.geometry;
+
+const toMaterialArray = (material) => (Array.isArray(material) ? material : [material]).filter(Boolean);
+
+// Bake skinning and morph targets at their current pose into plain positions
+const freezePose = (node) => {
+  const geometry = node.geometry.clone();
+  const position = geometry.attributes.position;
+  const vertex = new THREE.Vector3();
+  for (let i = 0; i < position.count; i += 1) {
+    node.getVertexPosition(i, vertex);
+    position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+  }
+  geometry.morphAttributes = {};
+  geometry.deleteAttribute('skinIndex');
+  geometry.deleteAttribute('skinWeight');
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// One geometry per material group; attributes are shared, only the index is split
+const splitGroups = (geometry) =>
+  geometry.groups.map((group) => {
+    const part = new THREE.BufferGeometry();
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => part.setAttribute(name, attribute));
+    const end = Math.min(group.start + group.count, geometry.index?.count ?? geometry.attributes.position.count);
+    const index = [];
+    for (let i = group.start; i < end; i += 1) {
+      index.push(geometry.index ? geometry.index.getX(i) : i);
+    }
+    part.setIndex(index);
+    return { geometry: part, materialIndex: group.materialIndex };
+  });
+
+const createLike = (node, geometry) => {
+  if (node.isMesh) return new THREE.Mesh(geometry, node.material);
+  if (node.isLineSegments) return new THREE.LineSegments(geometry, node.material);
+  if (node.isLine) return new THREE.Line(geometry, node.material);
+  return new THREE.Points(geometry, node.material);
+};
+
+// Geometry baked through a mirroring matrix would otherwise render inside out
+const flipWinding = (geometry) => {
+  if (geometry.index) {
+    const index = geometry.index.array;
+    for (let i = 0; i < index.length; i += 3) {
+      const swap = index[i + 1];
+      index[i + 1] = index[i + 2];
+      index[i + 2] = swap;
+    }
+    geometry.index.needsUpdate = true;
+    return;
+  }
+  Object.values(geometry.attributes).forEach((attribute) => {
+    for (let i = 0; i < attribute.count; i += 3) {
+      for (let c = 0; c < attribute.itemSize; c += 1) {
+        const swap = attribute.getComponent(i + 1, c);
+        attribute.setComponent(i + 1, c, attribute.getComponent(i + 2, c));
+        attribute.setComponent(i + 2, c, swap);
+      }
+    }
+    attribute.needsUpdate = true;
+  });
+};
+
+const textureToPng = async (texture) => {
+  const image = texture?.image;
+  const width = image?.naturalWidth || image?.width;
+  const height = image?.naturalHeight || image?.height;
+  if (!width || !height || texture.isCompressedTexture || texture.isDataTexture) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // OBJ readers flip textures on load; glTF textures (flipY = false) need to be stored flipped
+  if (texture.flipY === false) {
+    context.translate(0, height);
+    context.scale(1, -1);
+  }
+  try {
+    context.drawImage(image, 0, 0, width, height);
+  } catch (error) {
+    console.warn('Could not read texture for export', error);
+    return null;
+  }
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+};
+
+/**
+ * Builds an export-ready copy of the loaded model (viewer transform applied,
+ * helpers stripped, materials picked) and writes it out. The live scene is
+ * never modified.
+ */
+export class ModelExporter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getOriginalMaterial - (mesh) => material the model was loaded with
+   * @param {Function} [options.isHelper] - (node) => true for viewer-only children to leave out
+   */
+  constructor({ getOriginalMaterial, isHelper = () => false }) {
+    this.getOriginalMaterial = getOriginalMaterial;
+    this.isHelper = isHelper;
+  }
+
+  /**
+   * @param {THREE.Object3D} model - The loaded model (child of modelRoot)
+   * @param {Object} options
+   * @param {THREE.Matrix4} options.matrix - Viewer transform (scale, offset, rotation)
+   * @param {'original'|'current'} [options.materials] - As loaded, or the active shading (clay, wireframe…)
+   * @param {boolean} [options.bakeTransforms] - Write transforms into vertex data instead of nodes
+   * @param {THREE.AnimationClip[]} [options.animations] - Clips to keep; empty drops them
+   * @param {boolean} [options.staticMesh] - For formats without animation: freeze skinning and
+   *   morphs at the current pose and split multi-material meshes
+   * @returns {{ object: THREE.Object3D, animations: THREE.AnimationClip[], features: Object, notes: string[], dispose: Function }}
+   */
+  prepare(
+    model,
+    { matrix, materials = 'original', bakeTransforms = true, animations = [], staticMesh = false },
+  ) {
+    const clone = SkeletonUtils.clone(model);
+    const notes = [];
+    const disposables = [];
+
+    // SkeletonUtils.clone keeps the hierarchy, so both traversals line up
+    const sources = [];
+    const copies = [];
+    model.traverse((node) => sources.push(node));
+    clone.traverse((node) => copies.push(node));
+    const helpers = [];
+    sources.forEach((source, index) => {
+      const copy = copies[index];
+      if (this.isHelper(source)) {
+        helpers.push(copy);
+        return;
+      }
+      if (source.isMesh && materials === 'original') {
+        copy.material = this.getOriginalMaterial(source) ?? copy.material;
+      }
+    });
+    helpers.forEach((helper) => helper.removeFromParent());
+
+    const root = new THREE.Group();
+    root.name = model.name || 'model';
+    root.applyMatrix4(matrix);
+    root.add(clone);
+    root.updateMatrixWorld(true);
+
+    const features = this.describe(clone, animations);
+    const posed = features.skinned > 0 || features.morphed > 0;
+
+    let object = root;
+    if (bakeTransforms || staticMesh) {
+      if (animations.length || (posed && !staticMesh)) {
+        // Animated nodes, skins and morph targets depend on their node transforms
+        notes.push('Transforms kept on the root node because the model is animated, skinned or morphed');
+      } else {
+        object = new THREE.Group();
+        object.name = root.name;
+        clone.traverse((node) => {
+          if (!hasGeometry(node) || !isVisibleInTree(node)) return;
+          const posedNode = node.isSkinnedMesh || node.morphTargetInfluences?.length;
+          const geometry = (staticMesh && posedNode ? freezePose(node) : node.geometry.clone())
+            .applyMatrix4(node.matrixWorld);
+          if (node.isMesh && node.matrixWorld.determinant() < 0) {
+            flipWinding(geometry);
+          }
+          disposables.push(geometry);
+
+          const parts =
+            staticMesh && Array.isArray(node.material) && geometry.groups.length
+              ? splitGroups(geometry)
+              : [{ geometry, materialIndex: null }];
+          parts.forEach((part, index) => {
+            if (part.geometry !== geometry) disposables.push(part.geometry);
+            const baked = createLike(node, part.geometry);
+            if (part.materialIndex !== null) {
+              baked.material = node.material[part.materialIndex] ?? node.material[0];
+            }
+            baked.name = parts.length > 1 ? `${node.name || 'mesh'}_${index}` : node.name;
+            object.add(baked);
+          });
+        });
+        if (staticMesh && posed) {
+          notes.push('Skinned and morphed meshes were frozen at their current pose');
+        }
+      }
+    }
+
+    return {
+      object,
+      animations,
+      features,
+      notes,
+      dispose: () => disposables.forEach((geometry) => geometry.dispose()),
+    };
+  }
+
+  /**
+   * Count what the model uses, to tell which formats will drop something
+   * @param {THREE.Object3D} object
+   * @param {THREE.AnimationClip[]} animations
+   */
+  describe(object, animations = []) {
+    const features = {
+      animations: animations.length,
+      skinned: 0,
+      morphed: 0,
+      vertexColors: 0,
+      uvs: 0,
+      linesAndPoints: 0,
+      materials: new Set(),
+      textures: new Set(),
+      nonStandardMaterials: 0,
+      doubleSided: 0,
+    };
+    object.traverse((node) => {
+      if (!hasGeometry(node)) return;
+      const { attributes } = node.geometry;
+      if (node.isSkinnedMesh) features.skinned += 1;
+      if (node.morphTargetInfluences?.length) features.morphed += 1;
+      if (attributes.color) features.vertexColors += 1;
+      if (attributes.uv) features.uvs += 1;
+      if (!node.isMesh) features.linesAndPoints += 1;
+      toMaterialArray(node.material).forEach((material) => {
+        if (features.materials.has(material)) return;
+        features.materials.add(material);
+        if (node.isMesh && !material.isMeshStandardMaterial) features.nonStandardMaterials += 1;
+        if (material.side === THREE.DoubleSide) features.doubleSided += 1;
+        TEXTURE_SLOTS.forEach((slot) => material[slot] && features.textures.add(material[slot]));
+      });
+    });
+    return features;
+  }
+
+  /**
+   * Convert the model to another format
+   * @param {THREE.Object3D} model
+   * @param {'glb'|'obj'|'stl'|'usdz'} format - Key of EXPORT_FORMATS
+   * @param {Object} options - See prepare(); static formats ignore bakeTransforms and animations
+   * @returns {Promise<{ blob: Blob, lost: string[], notes: string[] }>}
+   *   lost lists what the format could not carry over
+   */
+  async export(model, format, options) {
+    const staticMesh = format !== 'glb';
+    const prepared = this.prepare(model, {
+      ...options,
+      ...(staticMesh ? { bakeTransforms: true, animations: [], staticMesh: true } : {}),
+    });
+    const droppedClips = staticMesh ? options.animations?.length ?? 0 : 0;
+    const { features } = prepared;
+    const lost = [];
+    if (droppedClips) lost.push(`${droppedClips} animation clip${droppedClips === 1 ? '' : 's'}`);
+    if (staticMesh && (features.skinned || features.morphed)) lost.push('skinning and morph targets');
+
+    // Export-only material copies; the prepared clone still shares the live model's materials
+    const standins = [];
+    try {
+      let blob;
+      if (format === 'glb') {
+        const buffer = await new GLTFExporter().parseAsync(prepared.object, {
+          binary: true,
+          onlyVisible: true,
+          animations: prepared.animations,
+        });
+        blob = new Blob([buffer], { type: 'model/gltf-binary' });
+      } else if (format === 'obj') {
+        blob = await this.toObjZip(prepared.object, options.name ?? 'model', lost);
+      } else if (format === 'stl') {
+        if (features.materials.size) lost.push('materials');
+        if (features.textures.size) lost.push('textures');
+        if (features.uvs) lost.push('UVs');
+        if (features.vertexColors) lost.push('vertex colors');
+        if (features.linesAndPoints) lost.push('lines and points');
+        const data = new STLExporter().parse(prepared.object, { binary: true });
+        blob = new Blob([data], { type: 'model/stl' });
+      } else if (format === 'usdz') {
+        standins.push(...this.toStandardMaterials(prepared.object, lost));
+        if (features.doubleSided) lost.push('double-sided materials');
+        if (features.linesAndPoints) lost.push('lines and points');
+        const data = await new USDZExporter().parseAsync(prepared.object);
+        blob = new Blob([data], { type: 'model/vnd.usdz+zip' });
+      } else {
+        throw new Error(`Unknown export format "${format}"`);
+      }
+      return { blob, lost, notes: prepared.notes };
+    } finally {
+      standins.forEach((material) => material.dispose());
+      prepared.dispose();
+    }
+  }
+
+  /**
+   * OBJ, MTL and the textures the MTL points at, zipped
+   * @param {THREE.Object3D} object - Prepared, single-material meshes
+   * @param {string} name - Base file name
+   * @param {string[]} lost - Collects anything that can't be written
+   * @returns {Promise<Blob>}
+   */
+  async toObjZip(object, name, lost) {
+    const materialNames = new Map();
+    const textureNames = new Map();
+    const files = {};
+    const skipped = new Set();
+    let mtl = '';
+
+    const textureFile = async (texture) => {
+      if (textureNames.has(texture)) return textureNames.get(texture);
+      const bytes = await textureToPng(texture);
+      const fileName = bytes ? `textures/texture_${textureNames.size}.png` : null;
+      if (bytes) files[fileName] = bytes;
+      textureNames.set(texture, fileName);
+      return fileName;
+    };
+
+    // OBJExporter writes `usemtl material.name`; name copies so the live materials stay untouched
+    const renamed = [];
+    const meshes = [];
+    object.traverse((node) => node.isMesh && meshes.push(node));
+    for (const mesh of meshes) {
+      const material = toMaterialArray(mesh.material)[0];
+      if (!material) continue;
+      if (!materialNames.has(material)) {
+        const safeName = (material.name || 'material').replace(/[^\w-]+/g, '_');
+        const materialName = `${safeName}_${materialNames.size}`;
+        materialNames.set(material, materialName);
+        mtl += `newmtl ${materialName}\n${await this.writeMtlMaterial(material, textureFile, skipped)}\n`;
+      }
+      const copy = material.clone();
+      copy.name = materialNames.get(material);
+      mesh.material = copy;
+      renamed.push(copy);
+    }
+
+    const obj = `mtllib ${name}.mtl\n${new OBJExporter().parse(object)}`;
+    renamed.forEach((material) => material.dispose());
+    files[`${name}.obj`] = new TextEncoder().encode(obj);
+    files[`${name}.mtl`] = new TextEncoder().encode(mtl);
+    skipped.forEach((entry) => lost.push(entry));
+    return createZip(files, { level: 6 });
+  }
+
+  async writeMtlMaterial(material, textureFile, skipped) {
+    const color = (value) => {
+      const rgb = value.getRGB({}, THREE.SRGBColorSpace);
+      return `${rgb.r.toFixed(4)} ${rgb.g.toFixed(4)} ${rgb.b.toFixed(4)}`;
+    };
+    const lines = [];
+    if (material.color) lines.push(`Kd ${color(material.color)}`);
+    if (material.emissive) lines.push(`Ke ${color(material.emissive)}`);
+    if (material.roughness !== undefined) lines.push(`Pr ${material.roughness.toFixed(4)}`);
+    if (material.metalness !== undefined) lines.push(`Pm ${material.metalness.toFixed(4)}`);
+    if (material.shininess !== undefined) lines.push(`Ns ${material.shininess.toFixed(2)}`);
+    lines.push(`d ${(material.opacity ?? 1).toFixed(4)}`);
+    lines.push('illum 2');
+    for (const [slot, keyword] of MTL_TEXTURE_SLOTS) {
+      if (!material[slot]) continue;
+      const fileName = await textureFile(material[slot]);
+      if (fileName) {
+        lines.push(`${keyword} ${fileName}`);
+      } else {
+        skipped.add('textures that could not be read back (e.g. compressed)');
+      }
+    }
+    TEXTURE_SLOTS.forEach((slot) => {
+      if (material[slot] && !MTL_TEXTURE_SLOTS.some(([written]) => written === slot)) {
+        skipped.add(`${slot.replace(/Map$/, '')} maps`);
+      }
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  // USDZ only takes MeshStandardMaterial; Phong, Lambert and Basic become close PBR stand-ins.
+  // Returns the stand-ins so the caller can dispose them once the file is written
+  toStandardMaterials(object, lost) {
+    const converted = new Map();
+    object.traverse((node) => {
+      if (!node.isMesh || !node.material || node.material.isMeshStandardMaterial) return;
+      const source = toMaterialArray(node.material)[0];
+      if (!converted.has(source)) {
+        const standard = new THREE.MeshStandardMaterial({
+          name: source.name,
+          color: source.color?.clone() ?? new THREE.Color('#ffffff'),
+          map: source.map ?? null,
+          normalMap: source.normalMap ?? null,
+          emissive: source.emissive?.clone() ?? new THREE.Color('#000000'),
+          emissiveMap: source.emissiveMap ?? null,
+          alphaMap: source.alphaMap ?? null,
+          opacity: source.opacity ?? 1,
+          transparent: source.transparent ?? false,
+          // Phong shininess 0–1000 → roughness 1–0
+          roughness:
+            source.shininess !== undefined ? 1 - Math.sqrt(Math.min(source.shininess, 1000) / 1000) : 1,
+          metalness: 0,
+        });
+        converted.set(source, standard);
+      }
+      node.material = converted.get(source);
+    });
+    if (converted.size) {
+      lost.push(`${converted.size} non-PBR material${converted.size === 1 ? '' : 's'} approximated`);
+    }
+    return [...converted.values()];
+  }
+}
@@ -1,13 +1,44 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/KTX2Loader.js';
 import { MeshoptDecoder } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/libs/meshopt_decoder.module.js';
 import { FBXLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/FBXLoader.js';
+import { MTLLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/MTLLoader.js';
 import { OBJLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/OBJLoader.js';
+import { PLYLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/PLYLoader.js';
 import { STLLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/STLLoader.js';
+import { ThreeMFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/3MFLoader.js';
+import { TGALoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/TGALoader.js';
 import { USDZLoader } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/loaders/USDZLoader.js';
+import { DECODER_PATHS } from '../config/decoders.js';
+import { isSplatPly, parseSplat, parseSplatPly } from '../utils/splatParser.js';
+import { extractZip } from '../utils/zip.js';
+import { SPLAT_TEXTURE_WIDTH, SplatMesh } from './SplatMesh.js';
+
+// Extensions loadUrl accepts; .gltf only makes sense here, where its
+// relative resources can be fetched next to it
+const URL_FORMATS = ['gltf', 'glb', 'fbx', 'obj', 'stl', 'ply', '3mf', 'splat', 'usdz', 'usd'];
+
+// Which file of a folder drop is the model, in order of preference
+const BUNDLE_PRIMARY_FORMATS = ['gltf', 'glb', 'fbx', 'obj', '3mf', 'ply', 'splat', 'stl', 'usdz', 'usd'];
+
+// Screen-space size (px) for point clouds until the point size setting is applied
+const DEFAULT_POINT_SIZE = 2;
+
+// macOS resource forks and Finder metadata that archivers sweep into ZIPs
+const isArchiveJunk = (path) =>
+  /(^|\/)__MACOSX\//.test(path) || /(^|\/)(\._[^/]*|\.DS_Store|Thumbs\.db)$/i.test(path);
 
 export class ModelLoader {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {THREE.WebGLRenderer} options.renderer - KTX2 picks its transcode target from the GPU
+   * @param {{ draco?: string, basis?: string }} options.decoderPaths - Overrides for config/decoders.js
+   */
+  constructor({ renderer = null, decoderPaths = {} } = {}) {
+    this.renderer = renderer;
+    this.decoderPaths = { ...DECODER_PATHS, ...decoderPaths };
     this.fileReaders = {
       text: (file) =>
         new Promise((resolve, reject) => {
@@ -29,16 +60,34 @@ export class ModelLoader {
   }
 
   setupLoaders() {
-    this.gltfLoader = new GLTFLoader();
-    if (this.gltfLoader.setMeshoptDecoder && MeshoptDecoder) {
-      this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    // Shared by every GLTFLoader; each keeps its own worker pool
+    this.dracoLoader = new DRACOLoader().setDecoderPath(this.decoderPaths.draco);
+    this.ktx2Loader = new KTX2Loader().setTranscoderPath(this.decoderPaths.basis);
+    if (this.renderer) {
+      this.ktx2Loader.detectSupport(this.renderer);
     }
+    this.gltfLoader = this.createGltfLoader();
     this.fbxLoader = new FBXLoader();
     this.objLoader = new OBJLoader();
     this.stlLoader = new STLLoader();
+    this.plyLoader = new PLYLoader();
+    this.threeMfLoader = new ThreeMFLoader();
     this.usdLoader = new USDZLoader();
   }
 
+  createGltfLoader(manager) {
+    const loader = new GLTFLoader(manager);
+    if (loader.setMeshoptDecoder && MeshoptDecoder) {
+      loader.setMeshoptDecoder(MeshoptDecoder);
+    }
+    loader.setDRACOLoader(this.dracoLoader);
+    // Without a renderer the transcode target is unknown, so KTX2 textures stay unsupported
+    if (this.renderer) {
+      loader.setKTX2Loader(this.ktx2Loader);
+    }
+    return loader;
+  }
+
   disposeObjectUrls() {
     if (!this.pendingObjectUrls) return;
     this.pendingObjectUrls.forEach((url) => URL.revokeObjectURL(url));
@@ -57,91 +106,244 @@ export class ModelLoader {
     return { ...asset, sourceFile: file };
   }
 
-  async loadFileBundle(files) {
-    if (!files?.length) throw new Error('No files in bundle');
-    const normalizedMap = new Map();
-    files.forEach(({ file, path }) => {
-      const key = this.normalizePath(path || file.name);
-      normalizedMap.set(key, file);
-      normalizedMap.set(key.toLowerCase(), file);
-    });
+  /**
+   * Fetch a model over HTTP(S). Relative resources (glTF buffers and
+   * textures, FBX textures) resolve against the model's own URL.
+   * @param {string} url - Absolute, or relative to the page
+   * @returns {Promise<Object>} Same shape as loadFile; sourceFile wraps the download
+   */
+  async loadUrl(url) {
+    if (!url) throw new Error('No URL provided');
+    let resolved;
+    try {
+      resolved = new URL(url, window.location.href);
+    } catch (error) {
+      throw new Error(`Not a valid URL: ${url}`);
+    }
+    if (!/^(https?|blob|data):$/.test(resolved.protocol)) {
+      throw new Error(`Cannot load models over ${resolved.protocol}`);
+    }
+    let fileName = resolved.pathname.split('/').pop() || 'model';
+    try {
+      fileName = decodeURIComponent(fileName);
+    } catch (error) {
+      // Not percent-encoded after all; keep the raw name
+    }
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    if (!URL_FORMATS.includes(extension)) {
+      throw new Error(
+        extension ? `Unsupported format: .${extension}` : 'URL does not name a model file',
+      );
+    }
 
-    const primaryKey = [...normalizedMap.keys()].find((key) =>
-      key.toLowerCase().endsWith('.gltf'),
-    );
-    let primaryFile = primaryKey ? normalizedMap.get(primaryKey) : null;
+    const blob = await this.fetchBlob(resolved, fileName);
+    const file = new File([blob], fileName, { type: blob.type });
+    const resourcePath = new URL('.', resolved).href;
+    const asset = await this.parseFileByExtension(file, extension, resourcePath);
+    return { ...asset, sourceFile: file };
+  }
 
-    if (!primaryFile) {
-      const glbKey = [...normalizedMap.keys()].find((key) =>
-        key.toLowerCase().endsWith('.glb'),
+  async fetchBlob(url, fileName) {
+    let response;
+    try {
+      response = await fetch(url.href);
+    } catch (error) {
+      // fetch rejects without detail for both network and CORS failures
+      const sameOrigin = url.origin === window.location.origin;
+      throw new Error(
+        sameOrigin
+          ? `Could not reach ${url.host}`
+          : `Could not fetch from ${url.host}: server unreachable or CORS not allowed`,
+        { cause: error },
       );
-      if (glbKey) {
-        return this.loadFile(normalizedMap.get(glbKey));
+    }
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(`Model not found (404): ${fileName}`);
+      }
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`Access denied (${response.status}): ${fileName}`);
       }
-      throw new Error('No .gltf/.glb in folder');
+      throw new Error(`Server error ${response.status} for ${fileName}`);
     }
+    return response.blob();
+  }
 
-    const rootPath = this.getDirectoryFromPath(primaryKey);
-    const loader = new GLTFLoader();
-    loader.setMeshoptDecoder?.(MeshoptDecoder);
-    loader.setURLModifier((url) => {
-      if (/^https?:\/\//i.test(url)) return url;
-      const decoded = decodeURI(url);
-      const relative = this.normalizePath(decoded);
-      const candidates = [
-        this.normalizePath(`${rootPath}${relative}`),
-        relative,
-      ];
-      for (const candidate of candidates) {
-        const match =
-          normalizedMap.get(candidate) ||
-          normalizedMap.get(candidate.toLowerCase());
-        if (match) {
-          const objectUrl = URL.createObjectURL(match);
-          this.registerObjectUrl(objectUrl);
-          return objectUrl;
-        }
-      }
-      return url;
-    });
+  /**
+   * Load a folder, multi-file drop or unpacked archive. Everything the model
+   * references (buffers, .mtl libraries, textures) resolves against the
+   * dropped files, case-insensitively.
+   * @param {Array<{ file: File, path: string }>} files
+   * @param {{ primaryPath?: string }} options - Which file is the model; defaults to the first candidate
+   * @returns {Promise<Object>} Asset plus sourceFile and missingResources (paths not found)
+   */
+  async loadFileBundle(files, { primaryPath } = {}) {
+    if (!files?.length) throw new Error('No files in bundle');
+    const candidates = this.findModelCandidates(files);
+    const primary = candidates.find((candidate) => candidate.path === primaryPath) ?? candidates[0];
+    if (!primary) throw new Error('No supported model in folder');
 
-    const text = await this.fileReaders.text(primaryFile);
-    return new Promise((resolve, reject) => {
-      loader.parse(
-        text,
-        '/',
-        (gltf) => {
-          const asset = gltf.parser?.json?.asset || {};
-          const assetName =
-            gltf.scene?.name ?? primaryFile.name.replace(/\.[^/.]+$/, '');
-          const gltfMetadata = {
-            assetName,
-            generator: asset.generator || null,
-            version: asset.version || null,
-            copyright: asset.copyright || null,
-          };
-          resolve({
-            object: gltf.scene,
-            animations: gltf.animations ?? [],
-            gltfMetadata,
-            sourceFile: primaryFile,
-          });
-        },
-        (error) => reject(error),
+    const { file, path, extension } = primary;
+    const findFile = this.createBundleLookup(files, this.getDirectoryFromPath(path));
+    const missing = new Set();
+    const manager = this.createBundleManager(findFile, missing);
+
+    let asset;
+    switch (extension) {
+      case 'gltf':
+        asset = await this.parseGltf(
+          await this.fileReaders.text(file),
+          file,
+          '/',
+          this.createGltfLoader(manager),
+        );
+        break;
+      case 'glb':
+        asset = await this.parseGltf(
+          await this.fileReaders.buffer(file),
+          file,
+          '/',
+          this.createGltfLoader(manager),
+        );
+        break;
+      case 'fbx':
+        asset = await this.loadFbx(file, '', new FBXLoader(manager));
+        break;
+      case 'obj':
+        asset = await this.loadObjWithMaterials(file, findFile, manager, missing);
+        break;
+      default:
+        asset = await this.parseFileByExtension(file, extension);
+    }
+    return { ...asset, sourceFile: file, missingResources: [...missing] };
+  }
+
+  /**
+   * Unpack a ZIP into the { file, path } list loadFileBundle takes
+   * @param {File} file - The archive
+   * @returns {Promise<Array<{ file: File, path: string }>>}
+   */
+  async readZip(file) {
+    const buffer = await this.fileReaders.buffer(file);
+    let entries;
+    try {
+      entries = extractZip(new Uint8Array(buffer));
+    } catch (error) {
+      throw new Error(`${file.name} is not a readable ZIP`, { cause: error });
+    }
+    return Object.entries(entries)
+      .filter(([path]) => !isArchiveJunk(path))
+      .map(([path, data]) => ({ file: new File([data], path.split('/').pop()), path }));
+  }
+
+  /**
+   * Files that could be the model, best guess first: by format preference,
+   * then the shallowest path
+   * @returns {Array<{ file: File, path: string, extension: string }>}
+   */
+  findModelCandidates(files) {
+    const depth = (path) => path.split('/').length;
+    return files
+      .map(({ file, path }) => ({
+        file,
+        path: path || file.name,
+        extension: file.name.split('.').pop().toLowerCase(),
+      }))
+      .filter(({ extension }) => BUNDLE_PRIMARY_FORMATS.includes(extension))
+      .sort(
+        (a, b) =>
+          BUNDLE_PRIMARY_FORMATS.indexOf(a.extension) - BUNDLE_PRIMARY_FORMATS.indexOf(b.extension) ||
+          depth(a.path) - depth(b.path),
+      );
+  }
+
+  // Resolve a referenced path to one of the dropped files
+  createBundleLookup(files, rootPath) {
+    const byPath = new Map();
+    const byName = new Map();
+    files.forEach(({ file, path }) => {
+      byPath.set(this.normalizePath(path || file.name).toLowerCase(), file);
+      byName.set(file.name.toLowerCase(), file);
+    });
+    return (reference) => {
+      const relative = this.normalizePath(reference).toLowerCase();
+      return (
+        byPath.get(this.normalizePath(`${rootPath}${relative}`).toLowerCase()) ||
+        byPath.get(relative) ||
+        // FBX and MTL files often carry absolute paths from the artist's machine
+        byName.get(relative.split('/').pop()) ||
+        null
       );
+    };
+  }
+
+  createBundleManager(findFile, missing) {
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => {
+      if (/^(https?|blob|data):/i.test(url)) return url;
+      let reference = url;
+      try {
+        reference = decodeURI(url);
+      } catch (error) {
+        // Not percent-encoded after all; match the raw path
+      }
+      const match = findFile(reference);
+      if (!match) {
+        missing.add(this.normalizePath(reference));
+        return url;
+      }
+      const objectUrl = URL.createObjectURL(match);
+      this.registerObjectUrl(objectUrl);
+      return objectUrl;
     });
+    // Handlers are picked by the original name, before the URL modifier runs
+    manager.addHandler(/\.tga$/i, new TGALoader(manager));
+    return manager;
+  }
+
+  async loadObjWithMaterials(file, findFile, manager, missing) {
+    const text = await this.fileReaders.text(file);
+    // mtllib may list several libraries, but names with spaces are common too
+    const libraries = [...text.matchAll(/^[ \t]*mtllib[ \t]+(.+?)[ \t]*$/gm)].flatMap(
+      ([, names]) => (findFile(names) ? [names] : names.split(/\s+/)),
+    );
+    const materialSources = [];
+    for (const name of new Set(libraries)) {
+      const library = findFile(name);
+      if (library) {
+        materialSources.push(await this.fileReaders.text(library));
+      } else {
+        missing.add(this.normalizePath(name));
+      }
+    }
+
+    const loader = new OBJLoader();
+    if (materialSources.length) {
+      const materials = new MTLLoader(manager).parse(materialSources.join('\n'), '');
+      materials.preload();
+      loader.setMaterials(materials);
+    }
+    return { object: loader.parse(text), animations: [] };
   }
 
-  async parseFileByExtension(file, ext) {
+  async parseFileByExtension(file, ext, resourcePath = '') {
     switch (ext) {
+      case 'gltf':
+        return this.loadGltf(file, resourcePath);
       case 'glb':
-        return this.loadGlb(file);
+        return this.loadGlb(file, resourcePath);
       case 'fbx':
-        return this.loadFbx(file);
+        return this.loadFbx(file, resourcePath);
       case 'obj':
         return this.loadObj(file);
       case 'stl':
         return this.loadStl(file);
+      case 'ply':
+        return this.loadPly(file);
+      case '3mf':
+        return this.load3mf(file);
+      case 'splat':
+        return this.loadSplat(file);
       case 'usdz':
       case 'usd':
         return this.loadUsd(file);
@@ -150,12 +352,21 @@ export class ModelLoader {
     }
   }
 
-  async loadGlb(file) {
+  async loadGltf(file, resourcePath = '') {
+    const text = await this.fileReaders.text(file);
+    return this.parseGltf(text, file, resourcePath);
+  }
+
+  async loadGlb(file, resourcePath = '') {
     const buffer = await this.fileReaders.buffer(file);
+    return this.parseGltf(buffer, file, resourcePath);
+  }
+
+  parseGltf(data, file, resourcePath, loader = this.gltfLoader) {
     return new Promise((resolve, reject) => {
-      this.gltfLoader.parse(
-        buffer,
-        '',
+      loader.parse(
+        data,
+        resourcePath,
         (gltf) => {
           const json = gltf.parser?.json || {};
           const asset = json.asset || {};
@@ -182,11 +393,11 @@ export class ModelLoader {
     });
   }
 
-  async loadFbx(file) {
+  async loadFbx(file, resourcePath = '', loader = this.fbxLoader) {
     const buffer = await this.fileReaders.buffer(file);
     return new Promise((resolve, reject) => {
       try {
-        const object = this.fbxLoader.parse(buffer, '');
+        const object = loader.parse(buffer, resourcePath);
         resolve({ object, animations: object.animations ?? [] });
       } catch (error) {
         reject(error);
@@ -224,6 +435,68 @@ export class ModelLoader {
     });
   }
 
+  // Scanned meshes and point clouds; files without faces become THREE.Points
+  async loadPly(file) {
+    const buffer = await this.fileReaders.buffer(file);
+    if (isSplatPly(buffer)) {
+      return this.createSplatAsset(parseSplatPly(buffer), file);
+    }
+    const geometry = this.plyLoader.parse(buffer);
+    const vertexColors = Boolean(geometry.getAttribute('color'));
+    const name = file.name.replace(/\.[^/.]+$/, '');
+
+    if (!geometry.index) {
+      const material = new THREE.PointsMaterial({
+        size: DEFAULT_POINT_SIZE,
+        sizeAttenuation: false,
+        vertexColors,
+        color: vertexColors ? '#ffffff' : '#d0d0d0',
+      });
+      const points = new THREE.Points(geometry, material);
+      points.name = name;
+      return { object: points, animations: [] };
+    }
+
+    if (!geometry.getAttribute('normal')) {
+      geometry.computeVertexNormals();
+    }
+    const material = new THREE.MeshStandardMaterial({
+      color: vertexColors ? '#ffffff' : '#d0d0d0',
+      vertexColors,
+      roughness: 0.6,
+      metalness: 0.0,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    return { object: mesh, animations: [] };
+  }
+
+  async loadSplat(file) {
+    const buffer = await this.fileReaders.buffer(file);
+    return this.createSplatAsset(parseSplat(buffer), file);
+  }
+
+  createSplatAsset(data, file) {
+    const maxTextureSize = this.renderer?.capabilities.maxTextureSize ?? Infinity;
+    if (Math.ceil(data.count / SPLAT_TEXTURE_WIDTH) > maxTextureSize) {
+      throw new Error(`${data.count.toLocaleString()} splats is more than this GPU can hold`);
+    }
+    const splats = new SplatMesh(data);
+    splats.name = file.name.replace(/\.[^/.]+$/, '');
+    // 3DGS scenes come out of COLMAP with OpenCV axes (Y down, Z forward)
+    splats.rotation.x = Math.PI;
+    return { object: splats, animations: [] };
+  }
+
+  async load3mf(file) {
+    const buffer = await this.fileReaders.buffer(file);
+    const object = this.threeMfLoader.parse(buffer);
+    // 3MF is Z-up (the build plate); the viewer is Y-up
+    object.rotation.x = -Math.PI / 2;
+    object.updateMatrixWorld(true);
+    return { object, animations: [] };
+  }
+
   async loadUsd(file) {
     const buffer = await this.fileReaders.buffer(file);
     if (typeof this.usdLoader.parse === 'function') {
@@ -240,12 +513,19 @@ export class ModelLoader {
   }
 
   normalizePath(path = '') {
-    return path
+    const segments = [];
+    path
       .replace(/\\/g, '/')
-      .replace(/^(\.\/)+/, '')
-      .replace(/\/{2,}/g, '/')
-      .replace(/^\//, '')
-      .trim();
+      .trim()
+      .split('/')
+      .forEach((segment) => {
+        if (segment === '..') {
+          segments.pop();
+        } else if (segment && segment !== '.') {
+          segments.push(segment);
+        }
+      });
+    return segments.join('/');
   }
 
   getDirectoryFromPath(path = '') {
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { OutlinePass } from 'https://cdn.jsdelivr.net/npm/three@0.165.0/examples/jsm/postprocessing/OutlinePass.js';
+import {
+  HOVER_OUTLINE_COLOR,
+  HOVER_OUTLINE_STRENGTH,
+  PICK_CLICK_TOLERANCE,
+} from '../constants.js';
+import { isVisibleInTree } from '../utils/sceneTree.js';
+
+/**
+ * Viewport picking: hovering outlines the mesh under the pointer, a click
+ * (not a drag) picks it and a double-click asks to focus the selection.
+ * Only the meshes handed to setTargets() can be hit, and only while shown.
+ */
+export class PickingController {
+  constructor({ scene, camera, canvas, onPick = null, onFocus = null }) {
+    this.camera = camera;
+    this.canvas = canvas;
+    this.onPick = onPick;
+    this.onFocus = onFocus;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.targets = [];
+    this.hovered = null;
+    this.pointerInside = false;
+    this.hoverDirty = false;
+    this.downPosition = null;
+
+    const size = new THREE.Vector2(canvas.clientWidth || 1, canvas.clientHeight || 1);
+    this.outlinePass = new OutlinePass(size, scene, camera);
+    this.outlinePass.visibleEdgeColor.set(HOVER_OUTLINE_COLOR);
+    this.outlinePass.hiddenEdgeColor.set(HOVER_OUTLINE_COLOR).multiplyScalar(0.3);
+    this.outlinePass.edgeStrength = HOVER_OUTLINE_STRENGTH;
+
+    this.bindPointer();
+  }
+
+  setTargets(meshes = []) {
+    this.targets = meshes;
+    this.setHovered(null);
+  }
+
+  setSize(width, height) {
+    this.outlinePass.setSize(width, height);
+  }
+
+  bindPointer() {
+    this.canvas.addEventListener('pointermove', (event) => {
+      this.updatePointer(event);
+      // No hover while orbiting, panning or on touch screens
+      this.pointerInside = event.buttons === 0 && event.pointerType !== 'touch';
+      this.hoverDirty = this.pointerInside;
+      if (!this.pointerInside) this.setHovered(null);
+    });
+    this.canvas.addEventListener('pointerleave', () => {
+      this.pointerInside = false;
+      this.setHovered(null);
+    });
+    this.canvas.addEventListener('pointerdown', (event) => {
+      this.downPosition = event.button === 0 && !event.altKey ? { x: event.clientX, y: event.clientY } : null;
+    });
+    this.canvas.addEventListener('pointerup', (event) => {
+      const start = this.downPosition;
+      this.downPosition = null;
+      if (!start || event.button !== 0) return;
+      const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+      if (moved > PICK_CLICK_TOLERANCE) return;
+      this.updatePointer(event);
+      this.onPick?.(this.pick(), { x: event.clientX, y: event.clientY });
+    });
+    this.canvas.addEventListener('dblclick', (event) => {
+      if (event.altKey) return;
+      this.onFocus?.();
+    });
+  }
+
+  updatePointer(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+  }
+
+  /**
+   * @returns {THREE.Mesh|null} The nearest shown target under the pointer
+   */
+  pick() {
+    const candidates = this.targets.filter((mesh) => isVisibleInTree(mesh));
+    // Skinned meshes keep the bounds of the pose they were first measured in,
+    // which rays would be culled against; measure the current pose instead
+    candidates.forEach((mesh) => {
+      if (mesh.isSkinnedMesh) {
+        mesh.computeBoundingBox();
+        mesh.computeBoundingSphere();
+      }
+    });
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const [hit] = this.raycaster.intersectObjects(candidates, false);
+    return hit?.object ?? null;
+  }
+
+  // Hover picks run at most once a frame, and only after the pointer moved
+  update() {
+    if (!this.hoverDirty) return;
+    this.hoverDirty = false;
+    this.setHovered(this.pick());
+  }
+
+  setHovered(mesh) {
+    if (mesh === this.hovered) return;
+    this.hovered = mesh;
+    this.outlinePass.selectedObjects = mesh ? [mesh] : [];
+    this.canvas.style.cursor = mesh ? 'pointer' : '';
+  }
+
+  /**
+   * Draws the hover outline over what is already on the canvas. Called after
+   * the frame is rendered, outside the composer, so stills and video exports
+   * never include it.
+   */
+  renderOutline(renderer) {
+    if (!this.hovered) return;
+    this.outlinePass.render(renderer, null, null, 0, false);
+  }
+}
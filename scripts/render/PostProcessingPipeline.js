@@ -225,6 +225,27 @@ export class PostProcessingPipeline {
     }
   }
 
+  /**
+   * Jump the grain animation to a given time (offline renders seed it)
+   * @param {number} time - Grain time in the same units updateGrainTime accumulates
+   */
+  setGrainTime(time) {
+    this.grainTime = time;
+    if (this.grainTintPass?.uniforms?.time) {
+      this.grainTintPass.uniforms.time.value = time;
+    }
+  }
+
+  /**
+   * Tell screen-space passes which part of the full frame is being rendered,
+   * in UV units (x, y from the bottom-left). Tiled exports set this per tile so
+   * aberration and lens dirt line up across tiles; (0, 0, 1, 1) is the whole frame.
+   */
+  setViewRect(x = 0, y = 0, width = 1, height = 1) {
+    this.aberrationPass.uniforms.viewRect.value.set(x, y, width, height);
+    this.lensDirtPass.uniforms.viewRect.value.set(x, y, width, height);
+  }
+
   /**
    * Set contrast adjustment
    * @param {number} value - Contrast value (0-2, default 1.0)
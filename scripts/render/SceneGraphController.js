@@ -0,0 +1,117 @@
+import { countTriangles } from '../utils/geometryStats.js';
+
+/**
+ * Node visibility for the outliner. What the user hides is kept apart from
+ * isolation, so leaving isolation brings back exactly what was shown before.
+ * Viewer helpers that live inside the model (the wireframe overlay) are left
+ * out of the tree and never hidden.
+ */
+export class SceneGraphController {
+  constructor({ isHelper = () => false } = {}) {
+    this.isHelper = isHelper;
+    this.model = null;
+    this.hidden = new Set();
+    this.isolated = null;
+  }
+
+  setModel(model) {
+    this.model = model;
+    this.hidden = new Set();
+    this.isolated = null;
+    // Nodes the file itself hides start unticked
+    model?.traverse((node) => {
+      if (!node.visible) this.hidden.add(node);
+    });
+  }
+
+  clear() {
+    this.setModel(null);
+  }
+
+  getNode(id) {
+    return id ? this.model?.getObjectByProperty('uuid', id) ?? null : null;
+  }
+
+  /**
+   * @returns {Object|null} { id, name, type, triangles, children } for the model
+   *   root; triangles include every descendant
+   */
+  getTree() {
+    if (!this.model) return null;
+    const describe = (node) => {
+      const children = node.children.filter((child) => !this.isHelper(child)).map(describe);
+      const own = node.isMesh && !node.isSplatMesh ? countTriangles(node.geometry) : 0;
+      return {
+        id: node.uuid,
+        name: node.name || node.type,
+        type: node.isSplatMesh ? 'Splats' : node.type,
+        triangles: children.reduce((sum, child) => sum + child.triangles, own),
+        children,
+      };
+    };
+    return describe(this.model);
+  }
+
+  /**
+   * @returns {{ isolated: string|null, nodes: Array<{ id, visible, shown }> }}
+   *   visible is the user's toggle, shown also accounts for isolation
+   */
+  getStates() {
+    const nodes = [];
+    this.walk((node) => {
+      nodes.push({ id: node.uuid, visible: !this.hidden.has(node), shown: this.isShown(node) });
+    });
+    return { isolated: this.isolated?.uuid ?? null, nodes };
+  }
+
+  setVisible(id, visible) {
+    const node = this.getNode(id);
+    if (!node) return;
+    if (visible) {
+      this.hidden.delete(node);
+    } else {
+      this.hidden.add(node);
+    }
+    this.apply();
+  }
+
+  /**
+   * Show only one node (with its descendants, and the ancestors it needs)
+   * @param {string|null} id - null leaves isolation
+   */
+  isolate(id) {
+    this.isolated = this.getNode(id);
+    this.apply();
+  }
+
+  showAll() {
+    this.hidden.clear();
+    this.isolated = null;
+    this.apply();
+  }
+
+  isShown(node) {
+    if (this.hidden.has(node)) return false;
+    if (!this.isolated) return true;
+    // On the isolated node's ancestor chain, or below it
+    for (let current = this.isolated; current; current = current.parent) {
+      if (current === node) return true;
+    }
+    for (let current = node; current; current = current.parent) {
+      if (current === this.isolated) return true;
+    }
+    return false;
+  }
+
+  apply() {
+    this.walk((node) => {
+      node.visible = this.isShown(node);
+    });
+  }
+
+  walk(callback, node = this.model) {
+    if (!node || this.isHelper(node)) return;
+    callback(node);
+    node.children.forEach((child) => this.walk(callback, child));
+  }
+}
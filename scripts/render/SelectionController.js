@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { SELECTION_HELPER_COLOR } from '../constants.js';
+
+/**
+ * Tracks the selected node (a mesh or a whole group) of the loaded model and
+ * outlines it with a box. The box follows the node every frame, so it stays
+ * put on animated models.
+ */
+export class SelectionController {
+  constructor({ scene, onSelectionChanged = null }) {
+    this.scene = scene;
+    this.onSelectionChanged = onSelectionChanged;
+    this.selected = null;
+    this.helper = null;
+    this.helperVisible = true;
+  }
+
+  select(object) {
+    if (object === this.selected) return;
+    this.removeHelper();
+    this.selected = object ?? null;
+    if (this.selected) {
+      this.helper = new THREE.BoxHelper(this.selected, SELECTION_HELPER_COLOR);
+      this.helper.name = 'selectionHelper';
+      // Always visible, even when the node sits inside others
+      this.helper.material.depthTest = false;
+      this.helper.renderOrder = 999;
+      this.helper.visible = this.helperVisible;
+      this.scene.add(this.helper);
+    }
+    this.onSelectionChanged?.(this.selected);
+  }
+
+  clear() {
+    this.select(null);
+  }
+
+  getSelection() {
+    return this.selected;
+  }
+
+  // Exports hide the box; the selection itself is kept
+  setHelperVisible(visible) {
+    this.helperVisible = visible;
+    if (this.helper) this.helper.visible = visible;
+  }
+
+  update() {
+    this.helper?.update();
+  }
+
+  removeHelper() {
+    if (!this.helper) return;
+    this.scene.remove(this.helper);
+    this.helper.geometry.dispose();
+    this.helper.material.dispose();
+    this.helper = null;
+  }
+}
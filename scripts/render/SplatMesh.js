@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { SplatShader } from '../shaders/index.js';
+
+// Splats per data texture row; the row count must stay within maxTextureSize
+export const SPLAT_TEXTURE_WIDTH = 2048;
+const TEXTURE_WIDTH = SPLAT_TEXTURE_WIDTH;
+const SORT_BUCKETS = 65536;
+// Depth order only depends on the view direction; re-sort once it turns by ~1.5°
+const RESORT_DIRECTION_DOT = 0.9997;
+
+const QUAD_CORNERS = new Float32Array([-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0]);
+const QUAD_INDICES = [0, 1, 2, 0, 2, 3];
+
+const _viewport = new THREE.Vector4();
+const _modelView = new THREE.Matrix4();
+const _direction = new THREE.Vector3();
+
+const createDataTexture = (data, format, type) => {
+  const height = data.length / (TEXTURE_WIDTH * (format === THREE.RGFormat ? 2 : 4));
+  const texture = new THREE.DataTexture(data, TEXTURE_WIDTH, height, format, type);
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.generateMipmaps = false;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+/**
+ * Gaussian splats as one instanced quad per splat. Splat attributes live in
+ * data textures; the instance order is re-sorted back to front on the CPU
+ * whenever the view direction changes. Not a regular surface: shading modes,
+ * helpers, raycasts, override-material passes (DOF depth, outlines) and mesh
+ * export skip it (check isSplatMesh).
+ */
+export class SplatMesh extends THREE.Mesh {
+  /**
+   * @param {{ count, centers, scales, rotations, colors }} data - From utils/splatParser.js
+   */
+  constructor(data) {
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(QUAD_CORNERS, 3));
+    geometry.setIndex(QUAD_INDICES);
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(SplatShader.uniforms),
+      vertexShader: SplatShader.vertexShader,
+      fragmentShader: SplatShader.fragmentShader,
+      transparent: true,
+      premultipliedAlpha: true,
+      depthWrite: false,
+    });
+    super(geometry, material);
+
+    this.isSplatMesh = true;
+    this.splatCount = data.count;
+    this.centers = data.centers;
+    this.castShadow = false;
+    this.receiveShadow = false;
+
+    this.sortOrder = new Float32Array(data.count);
+    this.sortDepths = new Float32Array(data.count);
+    this.sortBuckets = new Uint32Array(SORT_BUCKETS);
+    this.sortedDirection = new THREE.Vector3();
+    this.hasSorted = false;
+    const order = new THREE.InstancedBufferAttribute(this.sortOrder, 1);
+    order.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('splatIndex', order);
+    geometry.instanceCount = data.count;
+
+    this.buildTextures(data);
+    this.computeBounds();
+  }
+
+  buildTextures({ count, centers, scales, rotations, colors }) {
+    const capacity = Math.ceil(count / TEXTURE_WIDTH) * TEXTURE_WIDTH;
+    const centerData = new Float32Array(capacity * 4);
+    const covarianceData = new Float32Array(capacity * 4);
+    const covarianceExtraData = new Float32Array(capacity * 2);
+    const colorData = new Uint8Array(capacity * 4);
+    colorData.set(colors);
+
+    const rotation = new THREE.Matrix3();
+    const quaternion = new THREE.Quaternion();
+    const matrix4 = new THREE.Matrix4();
+    for (let i = 0; i < count; i += 1) {
+      centerData[i * 4] = centers[i * 3];
+      centerData[i * 4 + 1] = centers[i * 3 + 1];
+      centerData[i * 4 + 2] = centers[i * 3 + 2];
+
+      // Sigma = R S S^T R^T; M = R S has the scale on each column
+      quaternion
+        .set(rotations[i * 4 + 1], rotations[i * 4 + 2], rotations[i * 4 + 3], rotations[i * 4])
+        .normalize();
+      rotation.setFromMatrix4(matrix4.makeRotationFromQuaternion(quaternion));
+      const r = rotation.elements; // column-major
+      const sx = scales[i * 3];
+      const sy = scales[i * 3 + 1];
+      const sz = scales[i * 3 + 2];
+      const m = [
+        r[0] * sx, r[3] * sy, r[6] * sz,
+        r[1] * sx, r[4] * sy, r[7] * sz,
+        r[2] * sx, r[5] * sy, r[8] * sz,
+      ]; // row-major
+      const row = (a, b) => m[a * 3] * m[b * 3] + m[a * 3 + 1] * m[b * 3 + 1] + m[a * 3 + 2] * m[b * 3 + 2];
+      covarianceData[i * 4] = row(0, 0);
+      covarianceData[i * 4 + 1] = row(0, 1);
+      covarianceData[i * 4 + 2] = row(0, 2);
+      covarianceData[i * 4 + 3] = row(1, 1);
+      covarianceExtraData[i * 2] = row(1, 2);
+      covarianceExtraData[i * 2 + 1] = row(2, 2);
+    }
+
+    const { uniforms } = this.material;
+    uniforms.centerTexture.value = createDataTexture(centerData, THREE.RGBAFormat, THREE.FloatType);
+    uniforms.covarianceTexture.value = createDataTexture(covarianceData, THREE.RGBAFormat, THREE.FloatType);
+    uniforms.covarianceExtraTexture.value = createDataTexture(
+      covarianceExtraData,
+      THREE.RGFormat,
+      THREE.FloatType,
+    );
+    uniforms.colorTexture.value = createDataTexture(colorData, THREE.RGBAFormat, THREE.UnsignedByteType);
+    uniforms.textureWidth.value = TEXTURE_WIDTH;
+  }
+
+  // The quad geometry says nothing about the splats' extent, so bounds come from the centers
+  computeBounds() {
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+    for (let i = 0; i < this.splatCount; i += 1) {
+      box.expandByPoint(point.fromArray(this.centers, i * 3));
+    }
+    this.geometry.boundingBox = box;
+    this.geometry.boundingSphere = box.getBoundingSphere(new THREE.Sphere());
+  }
+
+  onBeforeRender(renderer, scene, camera) {
+    // Depth, outline and other override passes would draw the bare 2×2 quad at
+    // the origin; the renderer can't skip an object here, so draw no instances
+    if (scene?.overrideMaterial) {
+      this.geometry.instanceCount = 0;
+      return;
+    }
+    this.geometry.instanceCount = this.splatCount;
+
+    const { uniforms } = this.material;
+    const viewport = renderer.getCurrentViewport(_viewport);
+    uniforms.viewport.value.set(viewport.z, viewport.w);
+    const projection = camera.projectionMatrix.elements;
+    uniforms.focal.value.set(projection[0] * viewport.z * 0.5, projection[5] * viewport.w * 0.5);
+    // Lets the viewer's fade-in and opacity tweaks reach the shader
+    uniforms.opacity.value = this.material.opacity;
+
+    _modelView.multiplyMatrices(camera.matrixWorldInverse, this.matrixWorld);
+    const e = _modelView.elements;
+    _direction.set(e[2], e[6], e[10]).normalize();
+    if (!this.hasSorted || _direction.dot(this.sortedDirection) < RESORT_DIRECTION_DOT) {
+      this.sort(_direction);
+    }
+  }
+
+  // Counting sort on quantized view depth, farthest first
+  sort(direction) {
+    const { centers, sortDepths: depths, sortBuckets: buckets, sortOrder: order } = this;
+    const count = this.splatCount;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i += 1) {
+      const depth =
+        direction.x * centers[i * 3] + direction.y * centers[i * 3 + 1] + direction.z * centers[i * 3 + 2];
+      depths[i] = depth;
+      if (depth < min) min = depth;
+      if (depth > max) max = depth;
+    }
+
+    // View-space z grows towards the camera, so the smallest depth is the farthest splat
+    const scale = (SORT_BUCKETS - 1) / Math.max(max - min, 1e-6);
+    buckets.fill(0);
+    for (let i = 0; i < count; i += 1) {
+      const bucket = Math.floor((depths[i] - min) * scale);
+      depths[i] = bucket;
+      buckets[bucket] += 1;
+    }
+    for (let i = 1; i < SORT_BUCKETS; i += 1) {
+      buckets[i] += buckets[i - 1];
+    }
+    for (let i = count - 1; i >= 0; i -= 1) {
+      buckets[depths[i]] -= 1;
+      order[buckets[depths[i]]] = i;
+    }
+
+    this.geometry.getAttribute('splatIndex').needsUpdate = true;
+    this.sortedDirection.copy(direction);
+    this.hasSorted = true;
+  }
+
+  // Splats have no surface to hit; picking and lens flare occlusion ignore them
+  raycast() {}
+
+  dispose() {
+    const { uniforms } = this.material;
+    ['centerTexture', 'covarianceTexture', 'covarianceExtraTexture', 'colorTexture'].forEach((key) =>
+      uniforms[key].value?.dispose(),
+    );
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { STUDIO_ENVIRONMENT_DEFAULTS } from '../config/hdri.js';
+import { CubeToEquirectShader, StudioBackdropShader } from '../shaders/index.js';
+
+const CUBE_SIZE = 256;
+const EQUIRECT_WIDTH = 1024;
+const ROOM_RADIUS = 10;
+
+// Fixed rig layout; hdriRotation turns the whole room
+const KEY_AZIMUTH = 45;
+const FILL_AZIMUTH = -70;
+const FILL_ELEVATION = 15;
+const STRIP_AZIMUTH = 180;
+const STRIP_SPREAD = 50; // Degrees between neighbouring strips
+const STRIP_ELEVATION = 12;
+
+const placeOnSphere = (object, azimuthDeg, elevationDeg, distance) => {
+  const azimuth = THREE.MathUtils.degToRad(azimuthDeg);
+  const elevation = THREE.MathUtils.degToRad(elevationDeg);
+  object.position.set(
+    Math.sin(azimuth) * Math.cos(elevation) * distance,
+    Math.sin(elevation) * distance,
+    Math.cos(azimuth) * Math.cos(elevation) * distance,
+  );
+  object.lookAt(0, 0, 0);
+};
+
+/**
+ * Builds RoomEnvironment-style studio lighting (softboxes, strip lights and a
+ * gradient backdrop) and bakes it to an equirect DataTexture, so it runs
+ * through the same PMREM, rotation and mood pipeline as photographic HDRIs.
+ */
+export class StudioEnvironmentGenerator {
+  constructor(renderer) {
+    this.renderer = renderer;
+  }
+
+  buildScene(params) {
+    const scene = new THREE.Scene();
+
+    const backdropMaterial = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(StudioBackdropShader.uniforms),
+      vertexShader: StudioBackdropShader.vertexShader,
+      fragmentShader: StudioBackdropShader.fragmentShader,
+      side: THREE.BackSide,
+      depthWrite: false,
+    });
+    backdropMaterial.uniforms.topColor.value.set(params.gradientTop);
+    backdropMaterial.uniforms.bottomColor.value.set(params.gradientBottom);
+    const backdrop = new THREE.Mesh(
+      new THREE.SphereGeometry(ROOM_RADIUS * 2, 32, 16),
+      backdropMaterial,
+    );
+    backdrop.renderOrder = -1;
+    scene.add(backdrop);
+
+    const addPanel = (width, height, intensity, azimuth, elevation) => {
+      if (intensity <= 0) return;
+      const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, toneMapped: false });
+      // Emitters are plain HDR colors; values above 1 are what make the reflections pop
+      material.color.setScalar(intensity);
+      const panel = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+      placeOnSphere(panel, azimuth, elevation, ROOM_RADIUS);
+      scene.add(panel);
+    };
+
+    addPanel(params.softboxSize, params.softboxSize, params.softboxIntensity, KEY_AZIMUTH, params.softboxHeight);
+    addPanel(params.softboxSize * 1.5, params.softboxSize * 1.5, params.fillIntensity, FILL_AZIMUTH, FILL_ELEVATION);
+
+    const stripCount = Math.round(params.stripCount);
+    for (let i = 0; i < stripCount; i += 1) {
+      const offset = (i - (stripCount - 1) / 2) * STRIP_SPREAD;
+      addPanel(0.35, ROOM_RADIUS * 0.6, params.stripIntensity, STRIP_AZIMUTH + offset, STRIP_ELEVATION);
+    }
+
+    return scene;
+  }
+
+  /**
+   * Render the studio into an equirect texture
+   * @param {Object} params - Studio parameters (see STUDIO_ENVIRONMENT_DEFAULTS)
+   * @returns {THREE.DataTexture} Half-float equirect, bottom row first
+   */
+  generate(params = {}) {
+    const settings = { ...STUDIO_ENVIRONMENT_DEFAULTS, ...params };
+    const width = EQUIRECT_WIDTH;
+    const height = EQUIRECT_WIDTH / 2;
+    const scene = this.buildScene(settings);
+
+    const cubeTarget = new THREE.WebGLCubeRenderTarget(CUBE_SIZE, { type: THREE.HalfFloatType });
+    const cubeCamera = new THREE.CubeCamera(0.1, ROOM_RADIUS * 4, cubeTarget);
+    const equirectTarget = new THREE.WebGLRenderTarget(width, height, {
+      type: THREE.FloatType,
+      depthBuffer: false,
+      generateMipmaps: false,
+    });
+    const quadMaterial = new THREE.ShaderMaterial({
+      uniforms: { tCube: { value: cubeTarget.texture } },
+      vertexShader: CubeToEquirectShader.vertexShader,
+      fragmentShader: CubeToEquirectShader.fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), quadMaterial);
+    const quadScene = new THREE.Scene();
+    quadScene.add(quad);
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    const pixels = new Float32Array(width * height * 4);
+    const previousTarget = this.renderer.getRenderTarget();
+    try {
+      cubeCamera.update(this.renderer, scene);
+      this.renderer.setRenderTarget(equirectTarget);
+      this.renderer.render(quadScene, quadCamera);
+      this.renderer.readRenderTargetPixels(equirectTarget, 0, 0, width, height, pixels);
+    } finally {
+      this.renderer.setRenderTarget(previousTarget);
+      scene.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      quad.geometry.dispose();
+      quadMaterial.dispose();
+      cubeTarget.dispose();
+      equirectTarget.dispose();
+    }
+
+    // Half floats keep the texture filterable without OES_texture_float_linear
+    const data = new Uint16Array(pixels.length);
+    for (let i = 0; i < pixels.length; i += 1) {
+      data[i] = THREE.DataUtils.toHalfFloat(pixels[i]);
+    }
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.HalfFloatType);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.colorSpace = THREE.LinearSRGBColorSpace;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.flipY = false; // readPixels already returns rows bottom-up
+    texture.needsUpdate = true;
+    return texture;
+  }
+}
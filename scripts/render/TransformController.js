@@ -84,5 +84,23 @@ export class TransformController {
     this.setRotationY(state.rotationY ?? 0);
     this.setRotationZ(state.rotationZ ?? 0);
   }
+
+  /**
+   * Matrix applyState would give the model root, without the auto-rotate spin
+   * @param {Object} state - State with scale, yOffset and rotationX/Y/Z (degrees)
+   * @returns {THREE.Matrix4}
+   */
+  getStateMatrix(state) {
+    const rotation = new THREE.Euler(
+      THREE.MathUtils.degToRad(state.rotationX ?? 0),
+      THREE.MathUtils.degToRad(state.rotationY ?? 0),
+      THREE.MathUtils.degToRad(state.rotationZ ?? 0),
+    );
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3(0, state.yOffset ?? 0, 0),
+      new THREE.Quaternion().setFromEuler(rotation),
+      new THREE.Vector3().setScalar(state.scale ?? 1),
+    );
+  }
 }
 
@@ -83,11 +83,13 @@ varying vec2 vUv;
 uniform sampler2D tDiffuse;
 uniform float offset;
 uniform float strength;
+uniform vec4 viewRect; // This render's part of the full frame (tiled export)
 
 void main() {
   vec2 center = vec2(0.5);
-  vec2 dir = normalize(vUv - center);
-  vec2 shift = dir * offset * strength;
+  vec2 frameUv = viewRect.xy + vUv * viewRect.zw;
+  vec2 dir = normalize(frameUv - center);
+  vec2 shift = dir * offset * strength / viewRect.zw;
   float r = texture2D(tDiffuse, vUv + shift).r;
   float g = texture2D(tDiffuse, vUv).g;
   float b = texture2D(tDiffuse, vUv - shift).b;
@@ -204,6 +206,7 @@ export const AberrationShader = {
     tDiffuse: { value: null },
     offset: { value: 0.003 },
     strength: { value: 0.4 },
+    viewRect: { value: new THREE.Vector4(0, 0, 1, 1) },
   },
   vertexShader: aberrationVertex,
   fragmentShader: aberrationFragment,
@@ -394,10 +397,11 @@ uniform float minLuminance;
 uniform float maxLuminance;
 uniform float sensitivity;
 uniform float exposureFactor;
+uniform vec4 viewRect;
 
 void main() {
   vec4 base = texture2D(tDiffuse, vUv);
-  vec4 dirt = texture2D(tDirt, vUv);
+  vec4 dirt = texture2D(tDirt, viewRect.xy + vUv * viewRect.zw);
   float ramp = smoothstep(minLuminance, maxLuminance, exposureFactor);
   float amount = pow(ramp, sensitivity) * strength;
   vec3 result = base.rgb + dirt.rgb * amount;
@@ -416,9 +420,180 @@ export const LensDirtShader = {
     maxLuminance: { value: 0.5 },
     sensitivity: { value: 1.0 },
     exposureFactor: { value: 1.0 },
+    viewRect: { value: new THREE.Vector4(0, 0, 1, 1) },
   },
   vertexShader: lensDirtVertex,
   fragmentShader: lensDirtFragment,
 };
 
 
+
+const studioBackdropVertex = `
+varying vec3 vDirection;
+void main() {
+  vDirection = normalize(position);
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const studioBackdropFragment = `
+varying vec3 vDirection;
+uniform vec3 topColor;
+uniform vec3 bottomColor;
+
+void main() {
+  // Floor stays flat, then the backdrop sweeps up into the top color
+  float blend = smoothstep(-0.15, 0.65, normalize(vDirection).y);
+  gl_FragColor = vec4(mix(bottomColor, topColor, blend), 1.0);
+}
+`;
+
+const cubeToEquirectVertex = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const cubeToEquirectFragment = `
+#define PI 3.141592653589793
+varying vec2 vUv;
+uniform samplerCube tCube;
+
+void main() {
+  // Inverse of three.js' equirectUv()
+  float phi = (vUv.x - 0.5) * 2.0 * PI;
+  float theta = (vUv.y - 0.5) * PI;
+  vec3 direction = vec3(cos(phi) * cos(theta), sin(theta), sin(phi) * cos(theta));
+  gl_FragColor = textureCube(tCube, direction);
+}
+`;
+
+export const StudioBackdropShader = {
+  uniforms: {
+    topColor: { value: new THREE.Color('#3a3d42') },
+    bottomColor: { value: new THREE.Color('#0c0d0f') },
+  },
+  vertexShader: studioBackdropVertex,
+  fragmentShader: studioBackdropFragment,
+};
+
+export const CubeToEquirectShader = {
+  uniforms: {
+    tCube: { value: null },
+  },
+  vertexShader: cubeToEquirectVertex,
+  fragmentShader: cubeToEquirectFragment,
+};
+
+// Gaussian splats: one instanced quad per splat, sized from the splat's
+// projected 2D covariance (EWA splatting, as in the 3DGS reference renderer).
+// Instances arrive sorted back to front; colour is premultiplied.
+const splatVertex = `
+attribute float splatIndex;
+uniform highp sampler2D centerTexture;
+uniform highp sampler2D covarianceTexture;
+uniform highp sampler2D covarianceExtraTexture;
+uniform sampler2D colorTexture;
+uniform int textureWidth;
+uniform vec2 viewport;
+uniform vec2 focal;
+uniform float opacity;
+
+varying vec4 vColor;
+varying vec2 vPosition;
+
+const float CUTOFF = 3.0; // Quad half-size in standard deviations
+const float MAX_SIGMA = 1024.0;
+
+vec3 srgbToLinear(vec3 color) {
+  return mix(
+    color / 12.92,
+    pow((color + 0.055) / 1.055, vec3(2.4)),
+    step(vec3(0.04045), color)
+  );
+}
+
+void main() {
+  int index = int(splatIndex + 0.5);
+  ivec2 coord = ivec2(index % textureWidth, index / textureWidth);
+  vec3 center = texelFetch(centerTexture, coord, 0).xyz;
+  vec4 viewCenter = modelViewMatrix * vec4(center, 1.0);
+  vec4 clipCenter = projectionMatrix * viewCenter;
+
+  float clip = 1.2 * clipCenter.w;
+  if (viewCenter.z > -0.0001 || abs(clipCenter.x) > clip || abs(clipCenter.y) > clip) {
+    gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    return;
+  }
+
+  vec4 covA = texelFetch(covarianceTexture, coord, 0);
+  vec2 covB = texelFetch(covarianceExtraTexture, coord, 0).xy;
+  mat3 sigma = mat3(
+    covA.x, covA.y, covA.z,
+    covA.y, covA.w, covB.x,
+    covA.z, covB.x, covB.y
+  );
+
+  // Jacobian of the perspective projection (in pixels) times the view rotation
+  float z = viewCenter.z;
+  vec3 j0 = vec3(focal.x / -z, 0.0, focal.x * viewCenter.x / (z * z));
+  vec3 j1 = vec3(0.0, focal.y / -z, focal.y * viewCenter.y / (z * z));
+  mat3 view = mat3(modelViewMatrix);
+  vec3 m0 = j0 * view;
+  vec3 m1 = j1 * view;
+
+  // Low-pass filter keeps sub-pixel splats at least a pixel wide
+  float a = dot(m0, sigma * m0) + 0.3;
+  float b = dot(m0, sigma * m1);
+  float d = dot(m1, sigma * m1) + 0.3;
+
+  float mid = 0.5 * (a + d);
+  float radius = length(vec2(0.5 * (a - d), b));
+  float lambda1 = mid + radius;
+  float lambda2 = max(mid - radius, 0.1);
+  vec2 axis = abs(b) < 1e-6
+    ? (a >= d ? vec2(1.0, 0.0) : vec2(0.0, 1.0))
+    : normalize(vec2(b, lambda1 - a));
+  vec2 major = min(sqrt(lambda1), MAX_SIGMA) * axis;
+  vec2 minor = min(sqrt(lambda2), MAX_SIGMA) * vec2(-axis.y, axis.x);
+
+  vec4 color = texelFetch(colorTexture, coord, 0);
+  vColor = vec4(srgbToLinear(color.rgb), color.a * opacity);
+  vPosition = position.xy * CUTOFF;
+
+  vec2 offset = (vPosition.x * major + vPosition.y * minor) * 2.0 / viewport;
+  gl_Position = clipCenter + vec4(offset * clipCenter.w, 0.0, 0.0);
+}
+`;
+
+const splatFragment = `
+varying vec4 vColor;
+varying vec2 vPosition;
+
+void main() {
+  float distanceSq = dot(vPosition, vPosition);
+  if (distanceSq > 9.0) discard;
+  float alpha = min(0.99, vColor.a * exp(-0.5 * distanceSq));
+  if (alpha < 1.0 / 255.0) discard;
+  gl_FragColor = vec4(vColor.rgb * alpha, alpha);
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+export const SplatShader = {
+  uniforms: {
+    centerTexture: { value: null },
+    covarianceTexture: { value: null },
+    covarianceExtraTexture: { value: null },
+    colorTexture: { value: null },
+    textureWidth: { value: 1 },
+    viewport: { value: new THREE.Vector2(1, 1) },
+    focal: { value: new THREE.Vector2(1, 1) },
+    opacity: { value: 1 },
+  },
+  vertexShader: splatVertex,
+  fragmentShader: splatFragment,
+};
@@ -0,0 +1,16 @@
+// Recursively merge plain objects; arrays and primitives from the patch replace
+// what they land on
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const deepMerge = (base, patch) => {
+  if (!isPlainObject(base) || !isPlainObject(patch)) {
+    return patch;
+  }
+  const result = { ...base };
+  Object.entries(patch).forEach(([key, value]) => {
+    result[key] = deepMerge(base[key], value);
+  });
+  return result;
+};
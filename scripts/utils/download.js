@@ -0,0 +1,11 @@
+// Trigger a browser download for generated content
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,98 @@
+// Read a downsampled copy of an equirect texture on the CPU, whatever its
+// source (image, canvas or float data from RGBE/EXR), for analysis and thumbnails
+
+import * as THREE from 'three';
+
+const getSourceSize = (image) => ({
+  width: image?.naturalWidth || image?.videoWidth || image?.width || 0,
+  height: image?.naturalHeight || image?.videoHeight || image?.height || 0,
+});
+
+const readHalfOrFloat = (data, index) =>
+  data instanceof Uint16Array ? THREE.DataUtils.fromHalfFloat(data[index]) : data[index];
+
+const sampleImage = (image, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const samples = new Float32Array(width * height * 3);
+  const color = new THREE.Color();
+  for (let i = 0; i < width * height; i += 1) {
+    // 8-bit sources are sRGB; analysis happens in linear space
+    color.setRGB(data[i * 4] / 255, data[i * 4 + 1] / 255, data[i * 4 + 2] / 255, THREE.SRGBColorSpace);
+    samples[i * 3] = color.r;
+    samples[i * 3 + 1] = color.g;
+    samples[i * 3 + 2] = color.b;
+  }
+  return samples;
+};
+
+const sampleData = (image, width, height, topDown) => {
+  const { data, width: sourceWidth, height: sourceHeight } = image;
+  const channels = Math.round(data.length / (sourceWidth * sourceHeight));
+  const samples = new Float32Array(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    // RGBE data is stored top-down and flipped on upload (flipY);
+    // EXR data is already bottom-up
+    const row = Math.floor(((y + 0.5) / height) * sourceHeight);
+    const sourceY = topDown ? row : sourceHeight - 1 - row;
+    for (let x = 0; x < width; x += 1) {
+      const sourceX = Math.floor(((x + 0.5) / width) * sourceWidth);
+      const sourceIndex = (sourceY * sourceWidth + sourceX) * channels;
+      const targetIndex = (y * width + x) * 3;
+      for (let c = 0; c < 3; c += 1) {
+        samples[targetIndex + c] = Math.max(0, readHalfOrFloat(data, sourceIndex + Math.min(c, channels - 1)));
+      }
+    }
+  }
+  return samples;
+};
+
+/**
+ * Downsample an equirect texture into linear RGB floats, top row first.
+ * @param {THREE.Texture} texture - Equirect texture (LDR image or HDR DataTexture)
+ * @param {number} width - Sample grid width (height is half of it)
+ * @returns {{ width: number, height: number, hdr: boolean, data: Float32Array } | null}
+ */
+export const sampleEquirect = (texture, width = 64) => {
+  const image = texture?.image;
+  if (!image) return null;
+  const height = Math.max(1, Math.round(width / 2));
+  if (image.data && image.width && image.height) {
+    return { width, height, hdr: true, data: sampleData(image, width, height, texture.flipY) };
+  }
+  const size = getSourceSize(image);
+  if (!size.width || !size.height) return null;
+  return { width, height, hdr: false, data: sampleImage(image, width, height) };
+};
+
+// Linear sample to a displayable color; HDR values are Reinhard-compressed first
+export const toDisplayColor = (r, g, b, hdr = true) =>
+  hdr ? new THREE.Color(r / (1 + r), g / (1 + g), b / (1 + b)) : new THREE.Color(r, g, b);
+
+export const createEquirectThumbnail = (texture, width = 160) => {
+  const samples = sampleEquirect(texture, width);
+  if (!samples) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = samples.width;
+  canvas.height = samples.height;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(samples.width, samples.height);
+  const rgb = {};
+  for (let i = 0; i < samples.width * samples.height; i += 1) {
+    const r = samples.data[i * 3];
+    const g = samples.data[i * 3 + 1];
+    const b = samples.data[i * 3 + 2];
+    const color = toDisplayColor(r, g, b, samples.hdr);
+    color.getRGB(rgb, THREE.SRGBColorSpace);
+    imageData.data[i * 4] = rgb.r * 255;
+    imageData.data[i * 4 + 1] = rgb.g * 255;
+    imageData.data[i * 4 + 2] = rgb.b * 255;
+    imageData.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/jpeg', 0.8);
+};
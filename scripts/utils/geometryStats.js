@@ -0,0 +1,13 @@
+// Triangle and vertex counts of one geometry, counted the way the stats panel does
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number} Indexed: index count / 3; otherwise position count / 3
+ */
+export const countTriangles = (geometry) => {
+  if (!geometry) return 0;
+  if (geometry.index) return geometry.index.count / 3;
+  return (geometry.attributes.position?.count ?? 0) / 3;
+};
+
+export const countVertices = (geometry) => geometry?.attributes.position?.count ?? 0;
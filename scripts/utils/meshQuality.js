@@ -0,0 +1,369 @@
+// Mesh quality checks on one triangle geometry: edge topology, winding,
+// degenerate triangles, duplicate vertices and UV layout. Everything is
+// measured in the geometry's own space (the bind pose for skinned meshes).
+// The loops yield to the event loop regularly, so a single mesh with
+// millions of triangles keeps the page responsive and can be aborted.
+
+// Positions closer than this (times the bounds diagonal) count as one vertex
+const WELD_TOLERANCE = 1e-5;
+// Triangles smaller than this (times the squared bounds diagonal) are degenerate
+const DEGENERATE_AREA = 1e-10;
+const UV_TOLERANCE = 1e-5;
+// UV triangles must overlap by more than this to count; shared edges only touch
+const UV_OVERLAP_EPSILON = 1e-5;
+const UV_GRID_MAX_CELLS = 1024;
+// Loop iterations between clock checks, and milliseconds of work between yields
+const PAUSE_CHECK_MASK = 0x3ff;
+const PAUSE_INTERVAL_MS = 30;
+
+const ANALYSIS_ABORTED = new Error('Mesh analysis aborted');
+
+/**
+ * @returns {Function} async (fraction) => void; call it with the progress so
+ *   far on every PAUSE_CHECK_MASK + 1 iterations. Throws ANALYSIS_ABORTED once
+ *   the signal is aborted.
+ */
+const createPause = ({ signal, onProgress }) => {
+  let last = performance.now();
+  return async (fraction) => {
+    if (performance.now() - last < PAUSE_INTERVAL_MS) return;
+    onProgress?.(fraction);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    last = performance.now();
+    if (signal?.aborted) throw ANALYSIS_ABORTED;
+  };
+};
+
+// Progress ranges of each stage within one geometry
+const STAGES = {
+  weld: [0, 0.2],
+  duplicates: [0.2, 0.35],
+  faces: [0.35, 0.6],
+  uvWeld: [0.6, 0.7],
+  islands: [0.7, 0.8],
+  uvGrid: [0.8, 0.85],
+  uvOverlaps: [0.85, 1],
+};
+const stageProgress = ([from, to], done, total) => from + (to - from) * (done / Math.max(total, 1));
+
+const weldVertices = async (count, keyOf, pause, stage) => {
+  const ids = new Uint32Array(count);
+  const seen = new Map();
+  for (let i = 0; i < count; i += 1) {
+    if (!(i & PAUSE_CHECK_MASK)) await pause(stageProgress(stage, i, count));
+    const key = keyOf(i);
+    let id = seen.get(key);
+    if (id === undefined) {
+      id = seen.size;
+      seen.set(key, id);
+    }
+    ids[i] = id;
+  }
+  return { ids, count: seen.size };
+};
+
+const createUnionFind = (count) => {
+  const parents = new Uint32Array(count);
+  for (let i = 0; i < count; i += 1) parents[i] = i;
+  const find = (i) => {
+    let root = i;
+    while (parents[root] !== root) root = parents[root];
+    while (parents[i] !== root) {
+      const next = parents[i];
+      parents[i] = root;
+      i = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parents[rootB] = rootA;
+  };
+  return { find, union };
+};
+
+// Separating axis test on two UV triangles stored 6 floats apart in uvs
+const uvTrianglesOverlap = (uvs, f, g) => {
+  const triangles = [f * 6, g * 6];
+  for (const base of triangles) {
+    for (let k = 0; k < 3; k += 1) {
+      const x0 = uvs[base + k * 2];
+      const y0 = uvs[base + k * 2 + 1];
+      const next = ((k + 1) % 3) * 2;
+      const length = Math.hypot(uvs[base + next] - x0, uvs[base + next + 1] - y0);
+      if (!length) continue;
+      const axisX = -(uvs[base + next + 1] - y0) / length;
+      const axisY = (uvs[base + next] - x0) / length;
+      let minF = Infinity;
+      let maxF = -Infinity;
+      let minG = Infinity;
+      let maxG = -Infinity;
+      for (let corner = 0; corner < 3; corner += 1) {
+        const projectionF = uvs[f * 6 + corner * 2] * axisX + uvs[f * 6 + corner * 2 + 1] * axisY;
+        const projectionG = uvs[g * 6 + corner * 2] * axisX + uvs[g * 6 + corner * 2 + 1] * axisY;
+        minF = Math.min(minF, projectionF);
+        maxF = Math.max(maxF, projectionF);
+        minG = Math.min(minG, projectionG);
+        maxG = Math.max(maxG, projectionG);
+      }
+      if (maxF <= minG + UV_OVERLAP_EPSILON || maxG <= minF + UV_OVERLAP_EPSILON) return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Faces from different UV islands that cover the same texels. Islands are
+ * faces joined through corners sharing both position and UV; overlaps are
+ * found on a grid so only nearby faces are compared.
+ */
+const findUvOverlaps = async ({ uv, faceCount, cornerVertex, positionIds, validFaces, pause }) => {
+  const quantize = (value) => Math.round(value / UV_TOLERANCE);
+  const uvIds = await weldVertices(
+    uv.count,
+    (i) => `${positionIds[i]}|${quantize(uv.getX(i))},${quantize(uv.getY(i))}`,
+    pause,
+    STAGES.uvWeld,
+  );
+  const islands = createUnionFind(uvIds.count);
+  const uvs = new Float32Array(faceCount * 6);
+  const faces = [];
+  let minU = Infinity;
+  let minV = Infinity;
+  let maxU = -Infinity;
+  let maxV = -Infinity;
+  for (let f = 0; f < faceCount; f += 1) {
+    if (!(f & PAUSE_CHECK_MASK)) await pause(stageProgress(STAGES.islands, f, faceCount));
+    if (!validFaces[f]) continue;
+    const corners = [0, 1, 2].map((k) => cornerVertex(f * 3 + k));
+    corners.forEach((vertex, k) => {
+      uvs[f * 6 + k * 2] = uv.getX(vertex);
+      uvs[f * 6 + k * 2 + 1] = uv.getY(vertex);
+    });
+    islands.union(uvIds.ids[corners[0]], uvIds.ids[corners[1]]);
+    islands.union(uvIds.ids[corners[0]], uvIds.ids[corners[2]]);
+    const base = f * 6;
+    const area =
+      (uvs[base + 2] - uvs[base]) * (uvs[base + 5] - uvs[base + 1]) -
+      (uvs[base + 4] - uvs[base]) * (uvs[base + 3] - uvs[base + 1]);
+    // Faces collapsed in UV space cover no texels
+    if (Math.abs(area) < UV_OVERLAP_EPSILON * UV_OVERLAP_EPSILON) continue;
+    faces.push(f);
+    for (let k = 0; k < 3; k += 1) {
+      minU = Math.min(minU, uvs[base + k * 2]);
+      maxU = Math.max(maxU, uvs[base + k * 2]);
+      minV = Math.min(minV, uvs[base + k * 2 + 1]);
+      maxV = Math.max(maxV, uvs[base + k * 2 + 1]);
+    }
+  }
+  if (faces.length < 2) return [];
+
+  const island = new Uint32Array(faceCount);
+  faces.forEach((f) => {
+    island[f] = islands.find(uvIds.ids[cornerVertex(f * 3)]);
+  });
+  const resolution = Math.min(UV_GRID_MAX_CELLS, Math.max(1, Math.ceil(Math.sqrt(faces.length))));
+  const cellU = (maxU - minU) / resolution || 1;
+  const cellV = (maxV - minV) / resolution || 1;
+  const cellOf = (value, min, size) => Math.min(resolution - 1, Math.floor((value - min) / size));
+  const cells = new Map();
+  for (const [i, f] of faces.entries()) {
+    if (!(i & PAUSE_CHECK_MASK)) await pause(stageProgress(STAGES.uvGrid, i, faces.length));
+    const base = f * 6;
+    const us = [uvs[base], uvs[base + 2], uvs[base + 4]];
+    const vs = [uvs[base + 1], uvs[base + 3], uvs[base + 5]];
+    const fromU = cellOf(Math.min(...us), minU, cellU);
+    const toU = cellOf(Math.max(...us), minU, cellU);
+    const fromV = cellOf(Math.min(...vs), minV, cellV);
+    const toV = cellOf(Math.max(...vs), minV, cellV);
+    for (let u = fromU; u <= toU; u += 1) {
+      for (let v = fromV; v <= toV; v += 1) {
+        const key = v * resolution + u;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(f);
+      }
+    }
+  }
+
+  const overlapping = new Set();
+  let tested = 0;
+  let comparisons = 0;
+  for (const cell of cells.values()) {
+    tested += 1;
+    for (let i = 0; i < cell.length; i += 1) {
+      // Stacked islands can crowd one cell, so count pairs rather than cells
+      if (comparisons > PAUSE_CHECK_MASK) {
+        comparisons = 0;
+        await pause(stageProgress(STAGES.uvOverlaps, tested, cells.size));
+      }
+      comparisons += cell.length - i;
+      for (let j = i + 1; j < cell.length; j += 1) {
+        const f = cell[i];
+        const g = cell[j];
+        if (island[f] === island[g]) continue;
+        if (overlapping.has(f) && overlapping.has(g)) continue;
+        if (uvTrianglesOverlap(uvs, f, g)) {
+          overlapping.add(f);
+          overlapping.add(g);
+        }
+      }
+    }
+  }
+  return [...overlapping].sort((a, b) => a - b);
+};
+
+const checkGeometry = async (geometry, pause) => {
+  const { position, normal, uv } = geometry.attributes;
+  const { index } = geometry;
+  const vertexCount = position?.count ?? 0;
+  const faceCount = Math.floor((index ? index.count : vertexCount) / 3);
+  const cornerVertex = index ? (corner) => index.getX(corner) : (corner) => corner;
+  const result = {
+    triangles: faceCount,
+    vertices: vertexCount,
+    indexed: Boolean(index),
+    hasUvs: Boolean(uv),
+    hasNormals: Boolean(normal),
+    nonManifoldEdges: [],
+    openEdges: [],
+    inconsistentEdges: [],
+    flippedFaces: [],
+    degenerateFaces: [],
+    duplicateVertices: [],
+    uvOverlapFaces: [],
+  };
+  if (!faceCount) return result;
+
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const diagonal = min.distanceTo(max) || 1;
+  const weldSize = diagonal * WELD_TOLERANCE;
+  const positionKey = (i) =>
+    `${Math.round(position.getX(i) / weldSize)},${Math.round(position.getY(i) / weldSize)},${Math.round(position.getZ(i) / weldSize)}`;
+  const positions = await weldVertices(vertexCount, positionKey, pause, STAGES.weld);
+
+  // Non-indexed geometry stores every corner on its own, so only indexed
+  // geometry can carry vertices that are redundant in every attribute
+  if (index) {
+    const attributes = Object.entries(geometry.attributes).filter(([name]) => name !== 'position');
+    const seen = new Set();
+    for (let i = 0; i < vertexCount; i += 1) {
+      if (!(i & PAUSE_CHECK_MASK)) await pause(stageProgress(STAGES.duplicates, i, vertexCount));
+      let key = positionKey(i);
+      attributes.forEach(([, attribute]) => {
+        for (let k = 0; k < attribute.itemSize; k += 1) {
+          key += `|${Math.round(attribute.getComponent(i, k) / UV_TOLERANCE)}`;
+        }
+      });
+      if (seen.has(key)) {
+        result.duplicateVertices.push(i);
+      } else {
+        seen.add(key);
+      }
+    }
+  }
+
+  const edges = new Map();
+  const edgeFaces = [];
+  const edgeForward = [];
+  const edgeInconsistent = [];
+  const edgeVertices = [];
+  const addEdge = (a, b) => {
+    const from = positions.ids[a];
+    const to = positions.ids[b];
+    const forward = from < to;
+    const key = forward ? from * positions.count + to : to * positions.count + from;
+    const edge = edges.get(key);
+    if (edge === undefined) {
+      edges.set(key, edgeFaces.length);
+      edgeFaces.push(1);
+      edgeForward.push(forward);
+      edgeInconsistent.push(false);
+      edgeVertices.push(a, b);
+      return;
+    }
+    edgeFaces[edge] += 1;
+    // Neighbours wound the same way walk their shared edge in opposite directions
+    if (edgeForward[edge] === forward) edgeInconsistent[edge] = true;
+  };
+
+  const validFaces = new Uint8Array(faceCount);
+  const minArea = DEGENERATE_AREA * diagonal * diagonal;
+  for (let f = 0; f < faceCount; f += 1) {
+    if (!(f & PAUSE_CHECK_MASK)) await pause(stageProgress(STAGES.faces, f, faceCount));
+    const a = cornerVertex(f * 3);
+    const b = cornerVertex(f * 3 + 1);
+    const c = cornerVertex(f * 3 + 2);
+    const abX = position.getX(b) - position.getX(a);
+    const abY = position.getY(b) - position.getY(a);
+    const abZ = position.getZ(b) - position.getZ(a);
+    const acX = position.getX(c) - position.getX(a);
+    const acY = position.getY(c) - position.getY(a);
+    const acZ = position.getZ(c) - position.getZ(a);
+    const nX = abY * acZ - abZ * acY;
+    const nY = abZ * acX - abX * acZ;
+    const nZ = abX * acY - abY * acX;
+    const [idA, idB, idC] = [a, b, c].map((vertex) => positions.ids[vertex]);
+    if (idA === idB || idB === idC || idA === idC || Math.hypot(nX, nY, nZ) / 2 < minArea) {
+      result.degenerateFaces.push(f);
+      continue;
+    }
+    validFaces[f] = 1;
+    addEdge(a, b);
+    addEdge(b, c);
+    addEdge(c, a);
+
+    // Winding that disagrees with the authored normals renders inside out
+    if (normal) {
+      let dot = 0;
+      [a, b, c].forEach((vertex) => {
+        dot += nX * normal.getX(vertex) + nY * normal.getY(vertex) + nZ * normal.getZ(vertex);
+      });
+      if (dot < 0) result.flippedFaces.push(f);
+    }
+  }
+
+  edgeFaces.forEach((faces, edge) => {
+    const pair = [edgeVertices[edge * 2], edgeVertices[edge * 2 + 1]];
+    if (faces === 1) {
+      result.openEdges.push(...pair);
+    } else if (faces > 2) {
+      result.nonManifoldEdges.push(...pair);
+    } else if (edgeInconsistent[edge]) {
+      result.inconsistentEdges.push(...pair);
+    }
+  });
+
+  if (uv) {
+    result.uvOverlapFaces = await findUvOverlaps({
+      uv,
+      faceCount,
+      cornerVertex,
+      positionIds: positions.ids,
+      validFaces,
+      pause,
+    });
+  }
+  return result;
+};
+
+/**
+ * @param {THREE.BufferGeometry} geometry - Triangle list geometry
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the analysis at the next pause
+ * @param {Function} [options.onProgress] - (fraction) => void, 0–1 within this geometry
+ * @returns {Promise<Object|null>} { triangles, vertices, indexed, hasUvs,
+ *   hasNormals } plus the issues found: nonManifoldEdges, openEdges and
+ *   inconsistentEdges as flat vertex index pairs; flippedFaces,
+ *   degenerateFaces and uvOverlapFaces as triangle indices; duplicateVertices
+ *   as vertex indices. null when aborted.
+ */
+export const analyzeGeometry = async (geometry, { signal, onProgress } = {}) => {
+  try {
+    return await checkGeometry(geometry, createPause({ signal, onProgress }));
+  } catch (error) {
+    if (error === ANALYSIS_ABORTED) return null;
+    throw error;
+  }
+};
@@ -0,0 +1,12 @@
+// Helpers for walking the loaded model's node tree
+
+/**
+ * @param {THREE.Object3D} node
+ * @returns {boolean} False when the node or any of its ancestors is hidden
+ */
+export const isVisibleInTree = (node) => {
+  for (let current = node; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+};
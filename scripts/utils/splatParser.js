@@ -0,0 +1,166 @@
+// Parse Gaussian splat files into flat arrays: the antimatter15 .splat layout
+// and the binary PLY written by the reference 3DGS trainer. Only the base
+// colour (SH degree 0) is kept; view-dependent SH bands are dropped.
+
+const SPLAT_RECORD_BYTES = 32;
+const SH_C0 = 0.28209479177387814;
+
+const PLY_TYPE_SIZES = {
+  char: 1, uchar: 1, int8: 1, uint8: 1,
+  short: 2, ushort: 2, int16: 2, uint16: 2,
+  int: 4, uint: 4, int32: 4, uint32: 4,
+  float: 4, float32: 4,
+  double: 8, float64: 8,
+};
+
+const SPLAT_PLY_PROPERTIES = [
+  'x', 'y', 'z',
+  'f_dc_0', 'f_dc_1', 'f_dc_2',
+  'opacity',
+  'scale_0', 'scale_1', 'scale_2',
+  'rot_0', 'rot_1', 'rot_2', 'rot_3',
+];
+
+const createSplatData = (count) => ({
+  count,
+  centers: new Float32Array(count * 3),
+  scales: new Float32Array(count * 3),
+  rotations: new Float32Array(count * 4), // w, x, y, z
+  colors: new Uint8Array(count * 4), // sRGB + opacity
+});
+
+const clampByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+const readPlyHeader = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64 * 1024));
+  const text = new TextDecoder().decode(bytes);
+  const end = text.indexOf('end_header');
+  if (!text.startsWith('ply') || end < 0) return null;
+  const headerLength = text.indexOf('\n', end) + 1;
+
+  const elements = [];
+  let format = null;
+  text
+    .slice(0, end)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const [keyword, ...parts] = line.trim().split(/\s+/);
+      if (keyword === 'format') {
+        [format] = parts;
+      } else if (keyword === 'element') {
+        elements.push({ name: parts[0], count: Number(parts[1]), properties: [] });
+      } else if (keyword === 'property' && elements.length) {
+        const isList = parts[0] === 'list';
+        elements[elements.length - 1].properties.push({
+          type: isList ? 'list' : parts[0],
+          name: parts[parts.length - 1],
+        });
+      }
+    });
+  return { format, elements, headerLength };
+};
+
+/**
+ * @param {ArrayBuffer} buffer - Contents of a .ply file
+ * @returns {boolean} True when the vertices carry 3DGS attributes
+ */
+export const isSplatPly = (buffer) => {
+  const header = readPlyHeader(buffer);
+  const vertex = header?.elements.find(({ name }) => name === 'vertex');
+  if (!vertex) return false;
+  const names = new Set(vertex.properties.map(({ name }) => name));
+  return ['f_dc_0', 'opacity', 'scale_0', 'rot_0'].every((name) => names.has(name));
+};
+
+/**
+ * @param {ArrayBuffer} buffer - antimatter15 .splat: 32 bytes per splat
+ * @returns {{ count, centers, scales, rotations, colors }}
+ */
+export const parseSplat = (buffer) => {
+  const count = Math.floor(buffer.byteLength / SPLAT_RECORD_BYTES);
+  if (!count) throw new Error('Splat file is empty');
+  const floats = new Float32Array(buffer, 0, count * (SPLAT_RECORD_BYTES / 4));
+  const bytes = new Uint8Array(buffer);
+  const data = createSplatData(count);
+
+  for (let i = 0; i < count; i += 1) {
+    const f = i * 8;
+    const b = i * SPLAT_RECORD_BYTES;
+    data.centers.set(floats.subarray(f, f + 3), i * 3);
+    data.scales.set(floats.subarray(f + 3, f + 6), i * 3);
+    data.colors.set(bytes.subarray(b + 24, b + 28), i * 4);
+    for (let k = 0; k < 4; k += 1) {
+      data.rotations[i * 4 + k] = (bytes[b + 28 + k] - 128) / 128;
+    }
+  }
+  return data;
+};
+
+/**
+ * @param {ArrayBuffer} buffer - Binary little-endian PLY from a 3DGS trainer
+ * @returns {{ count, centers, scales, rotations, colors }}
+ */
+export const parseSplatPly = (buffer) => {
+  const header = readPlyHeader(buffer);
+  if (!header) throw new Error('Not a PLY file');
+  if (header.format !== 'binary_little_endian') {
+    throw new Error(`Splat PLY must be binary_little_endian, not ${header.format}`);
+  }
+
+  // Skip whatever elements precede the vertices (rare, but allowed)
+  let offset = header.headerLength;
+  let vertex = null;
+  for (const element of header.elements) {
+    const stride = element.properties.reduce(
+      (sum, { type }) => sum + (PLY_TYPE_SIZES[type] ?? NaN),
+      0,
+    );
+    if (element.name === 'vertex') {
+      vertex = { ...element, stride };
+      break;
+    }
+    if (!Number.isFinite(stride)) throw new Error(`Unsupported PLY element: ${element.name}`);
+    offset += stride * element.count;
+  }
+  if (!vertex || !Number.isFinite(vertex.stride)) throw new Error('PLY has no readable vertices');
+
+  const fields = {};
+  let fieldOffset = 0;
+  vertex.properties.forEach(({ type, name }) => {
+    fields[name] = { type, offset: fieldOffset };
+    fieldOffset += PLY_TYPE_SIZES[type];
+  });
+  const missing = SPLAT_PLY_PROPERTIES.filter((name) => !fields[name]);
+  if (missing.length) throw new Error(`Splat PLY is missing ${missing.join(', ')}`);
+  const nonFloat = SPLAT_PLY_PROPERTIES.find((name) => fields[name].type !== 'float' && fields[name].type !== 'float32');
+  if (nonFloat) throw new Error('Compressed splat PLY files are not supported');
+
+  const { count, stride } = vertex;
+  if (offset + count * stride > buffer.byteLength) throw new Error('Splat PLY is truncated');
+  const view = new DataView(buffer);
+  const data = createSplatData(count);
+  const [x, y, z, dc0, dc1, dc2, opacity, s0, s1, s2, r0, r1, r2, r3] = SPLAT_PLY_PROPERTIES.map(
+    (name) => fields[name].offset,
+  );
+
+  for (let i = 0; i < count; i += 1) {
+    const base = offset + i * stride;
+    const read = (field) => view.getFloat32(base + field, true);
+    data.centers[i * 3] = read(x);
+    data.centers[i * 3 + 1] = read(y);
+    data.centers[i * 3 + 2] = read(z);
+    // Scales are stored as logs, opacity as a logit
+    data.scales[i * 3] = Math.exp(read(s0));
+    data.scales[i * 3 + 1] = Math.exp(read(s1));
+    data.scales[i * 3 + 2] = Math.exp(read(s2));
+    data.colors[i * 4] = clampByte((0.5 + SH_C0 * read(dc0)) * 255);
+    data.colors[i * 4 + 1] = clampByte((0.5 + SH_C0 * read(dc1)) * 255);
+    data.colors[i * 4 + 2] = clampByte((0.5 + SH_C0 * read(dc2)) * 255);
+    data.colors[i * 4 + 3] = clampByte(255 / (1 + Math.exp(-read(opacity))));
+    data.rotations[i * 4] = read(r0);
+    data.rotations[i * 4 + 1] = read(r1);
+    data.rotations[i * 4 + 2] = read(r2);
+    data.rotations[i * 4 + 3] = read(r3);
+  }
+  return data;
+};
@@ -0,0 +1,85 @@
+// Encode the difference between the current state and the defaults into a
+// URL hash, and decode it back. Format: #v=<schema>&z=<deflate+base64url>,
+// or &j=<base64url JSON> when CompressionStream is unavailable.
+
+import { isPlainObject } from './deepMerge.js';
+
+const FLOAT_PRECISION = 1e5;
+
+const round = (value) =>
+  typeof value === 'number' && !Number.isInteger(value)
+    ? Math.round(value * FLOAT_PRECISION) / FLOAT_PRECISION
+    : value;
+
+// Leaf-level delta: only values that differ from the defaults survive
+export const diffState = (state, defaults) => {
+  const delta = {};
+  Object.entries(state).forEach(([key, value]) => {
+    const defaultValue = defaults?.[key];
+    if (isPlainObject(value) && isPlainObject(defaultValue)) {
+      const nested = diffState(value, defaultValue);
+      if (Object.keys(nested).length) delta[key] = nested;
+      return;
+    }
+    if (round(value) !== round(defaultValue)) {
+      delta[key] = round(value);
+    }
+  });
+  return delta;
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () =>
+  typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+export const encodeStateHash = async (delta, version) => {
+  const json = new TextEncoder().encode(JSON.stringify(delta));
+  const params = new URLSearchParams({ v: String(version) });
+  if (canCompress()) {
+    params.set('z', toBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw'))));
+  } else {
+    params.set('j', toBase64Url(json));
+  }
+  return `#${params.toString()}`;
+};
+
+// Returns { version, delta } or null when the hash carries no shared state.
+// Throws when the hash looks like shared state but cannot be read.
+export const decodeStateHash = async (hash) => {
+  const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+  const compressed = params.get('z');
+  const plain = params.get('j');
+  if (!params.has('v') || (!compressed && !plain)) return null;
+
+  const version = Number(params.get('v'));
+  let bytes;
+  if (compressed) {
+    if (!canCompress()) {
+      throw new Error('This browser cannot read compressed share links');
+    }
+    bytes = await pipeThrough(fromBase64Url(compressed), new DecompressionStream('deflate-raw'));
+  } else {
+    bytes = fromBase64Url(plain);
+  }
+  const delta = JSON.parse(new TextDecoder().decode(bytes));
+  if (!isPlainObject(delta)) {
+    throw new Error('Share link does not contain settings');
+  }
+  return { version, delta };
+};
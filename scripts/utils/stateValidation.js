@@ -0,0 +1,78 @@
+// Validate partial state objects (imported looks, shared links) against the
+// StateStore defaults before they are allowed anywhere near the pipeline
+
+import { HDRI_PRESETS } from '../config/hdri.js';
+import { STATE_ENUMS, STATE_RANGES } from '../config/stateSchema.js';
+import { isPlainObject } from './deepMerge.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const getEnum = (path) => {
+  if (path === 'hdri') return Object.keys(HDRI_PRESETS);
+  return STATE_ENUMS[path] ?? null;
+};
+
+const validateLeaf = (path, value, defaultValue) => {
+  if (typeof value !== typeof defaultValue) {
+    return `${path}: expected ${typeof defaultValue}`;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return `${path}: not a finite number`;
+  }
+  if (typeof value === 'number' && STATE_RANGES[path]) {
+    const [min, max] = STATE_RANGES[path];
+    if (value < min || value > max) {
+      return `${path}: ${value} is outside ${min}–${max}`;
+    }
+  }
+  if (typeof value === 'string') {
+    const allowed = getEnum(path);
+    if (allowed && !allowed.includes(value)) {
+      return `${path}: unknown value "${value}"`;
+    }
+    if (HEX_COLOR.test(defaultValue) && !HEX_COLOR.test(value)) {
+      return `${path}: expected a #rrggbb color`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a (possibly partial) state object against the defaults shape.
+ * Returns the valid subset and a list of human-readable problems; invalid
+ * or unknown entries are left out of the patch rather than coerced.
+ * @param {Object} candidate - Partial state to validate
+ * @param {Object} defaults - StateStore defaults
+ * @returns {{ patch: Object, errors: string[] }}
+ */
+export const validateStatePatch = (candidate, defaults, prefix = '') => {
+  const patch = {};
+  const errors = [];
+  if (!isPlainObject(candidate)) {
+    errors.push(`${prefix || 'state'}: expected an object`);
+    return { patch, errors };
+  }
+  Object.entries(candidate).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+      errors.push(`${path}: unknown setting`);
+      return;
+    }
+    const defaultValue = defaults[key];
+    if (isPlainObject(defaultValue)) {
+      const nested = validateStatePatch(value, defaultValue, path);
+      errors.push(...nested.errors);
+      if (Object.keys(nested.patch).length) {
+        patch[key] = nested.patch;
+      }
+      return;
+    }
+    const error = validateLeaf(path, value, defaultValue);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    patch[key] = value;
+  });
+  return { patch, errors };
+};
@@ -0,0 +1,10 @@
+// localStorage, or null where it doesn't exist or access is blocked
+
+export const getLocalStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Access throws when storage is disabled (privacy mode, sandboxed iframes)
+    return null;
+  }
+};
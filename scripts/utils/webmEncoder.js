@@ -0,0 +1,95 @@
+// Encode rendered canvas frames into a WebM with WebCodecs. Timestamps come
+// from the frame index, so the video plays at the requested fps no matter
+// how long each frame took to render.
+
+import { ArrayBufferTarget, Muxer } from 'https://cdn.jsdelivr.net/npm/webm-muxer@5.0.3/+esm';
+
+const CODECS = [
+  { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+  { codec: 'vp8', muxerCodec: 'V_VP8' },
+];
+const BITS_PER_PIXEL = 0.15;
+const MAX_QUEUED_FRAMES = 4;
+const KEYFRAME_INTERVAL_SECONDS = 2;
+
+export const isWebmEncodingSupported = () =>
+  typeof VideoEncoder === 'function' && typeof VideoFrame === 'function';
+
+const pickCodec = async (config) => {
+  for (const candidate of CODECS) {
+    const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec: candidate.codec });
+    if (supported) return candidate;
+  }
+  return null;
+};
+
+const waitForQueue = (encoder) =>
+  new Promise((resolve) => {
+    if (encoder.encodeQueueSize <= MAX_QUEUED_FRAMES) {
+      resolve();
+      return;
+    }
+    encoder.addEventListener('dequeue', resolve, { once: true });
+  });
+
+/**
+ * @param {{ width: number, height: number, fps: number }} options - Even dimensions
+ * @returns {Promise<{ addFrame: Function, finish: Function, cancel: Function }>}
+ */
+export const createWebmEncoder = async ({ width, height, fps }) => {
+  if (!isWebmEncodingSupported()) {
+    throw new Error('Video export needs a browser with WebCodecs');
+  }
+  const config = {
+    width,
+    height,
+    framerate: fps,
+    bitrate: Math.round(width * height * fps * BITS_PER_PIXEL),
+  };
+  const codec = await pickCodec(config);
+  if (!codec) {
+    throw new Error(`This browser cannot encode ${width}×${height} WebM`);
+  }
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: codec.muxerCodec, width, height, frameRate: fps },
+  });
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => {
+      encoderError = error;
+    },
+  });
+  encoder.configure({ ...config, codec: codec.codec });
+
+  const frameDuration = 1e6 / fps;
+  const keyframeInterval = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL_SECONDS));
+
+  return {
+    // Call right after rendering, before the canvas is composited and cleared
+    async addFrame(canvas, index) {
+      if (encoderError) throw encoderError;
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration),
+      });
+      encoder.encode(frame, { keyFrame: index % keyframeInterval === 0 });
+      frame.close();
+      await waitForQueue(encoder);
+    },
+    async finish() {
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      encoder.close();
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+    cancel() {
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    },
+  };
+};
@@ -0,0 +1,52 @@
+// Build and unpack ZIP archives in the browser
+
+import {
+  unzipSync,
+  Zip,
+  ZipPassThrough,
+  zipSync,
+} from 'https://cdn.jsdelivr.net/npm/fflate@0.8.2/esm/browser.js';
+
+// A fixed timestamp keeps archives byte-identical between runs
+const ZIP_MTIME = new Date('2000-01-01T00:00:00');
+
+/**
+ * @param {Object<string, Uint8Array>} files - Path inside the archive → contents
+ * @param {{ level?: number }} options - Deflate level; 0 stores (right for PNG/JPEG)
+ * @returns {Blob}
+ */
+export const createZip = (files, { level = 0 } = {}) =>
+  new Blob([zipSync(files, { level, mtime: ZIP_MTIME })], { type: 'application/zip' });
+
+/**
+ * Build an archive one entry at a time, so large contents such as rendered
+ * frames never all sit in memory as raw bytes. Entries are stored, not deflated.
+ * @returns {{ add: (path: string, bytes: Uint8Array) => void, finish: () => Blob }}
+ */
+export const createZipWriter = () => {
+  const parts = [];
+  const zip = new Zip((error, chunk) => {
+    if (error) throw error;
+    // Blob parts can be moved out of the JS heap; the chunk is released
+    parts.push(new Blob([chunk]));
+  });
+  return {
+    add: (path, bytes) => {
+      const entry = new ZipPassThrough(path);
+      entry.mtime = ZIP_MTIME;
+      zip.add(entry);
+      entry.push(bytes, true);
+    },
+    finish: () => {
+      zip.end();
+      return new Blob(parts, { type: 'application/zip' });
+    },
+  };
+};
+
+/**
+ * @param {Uint8Array} bytes - Whole archive
+ * @returns {Object<string, Uint8Array>} Path inside the archive → contents; folders are left out
+ */
+export const extractZip = (bytes) =>
+  unzipSync(bytes, { filter: (entry) => !entry.name.endsWith('/') });